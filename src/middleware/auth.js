@@ -1,11 +1,48 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import ApiToken, { hashApiToken, isApiToken } from '../models/ApiToken.js';
+import { setContextUser } from '../utils/requestContext.js';
+import { findActiveSession } from '../utils/sessions.js';
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+const LAST_USED_INTERVAL_MS = 60 * 1000; // don't write lastUsedAt on every request
+
+// Personal API tokens are sent as "Authorization: Bearer lmp_..."
+const authenticateApiToken = async (req, res, next, token) => {
+  const apiToken = await ApiToken.findOne({ tokenHash: hashApiToken(token) });
+  if (!apiToken || apiToken.isExpired()) {
+    return res.status(401).json({ error: 'Invalid or expired API token.' });
+  }
+
+  if (apiToken.scope === 'read' && !READ_METHODS.includes(req.method)) {
+    return res.status(403).json({ error: 'This API token is read-only.' });
+  }
+
+  const user = await User.findById(apiToken.user).select("-password");
+  if (!user) {
+    return res.status(401).json({ error: 'Invalid token. User not found.' });
+  }
+
+  if (!apiToken.lastUsedAt || Date.now() - apiToken.lastUsedAt > LAST_USED_INTERVAL_MS || apiToken.lastUsedIp !== req.ip) {
+    ApiToken.updateOne({ _id: apiToken._id }, { lastUsedAt: new Date(), lastUsedIp: req.ip })
+      .catch(error => console.error('Error recording API token use:', error));
+  }
+
+  req.user = user;
+  req.apiToken = apiToken;
+  setContextUser(user);
+  next();
+};
 
 export const protect = async (req, res, next) => {
   try {
+    const headerToken = req.headers.authorization?.split(" ")[1];
+    if (isApiToken(headerToken)) {
+      return await authenticateApiToken(req, res, next, headerToken);
+    }
+
     // Try both cookie and Authorization header
-    const token =
-      req.cookies.token || req.headers.authorization?.split(" ")[1];
+    const token = req.cookies.token || headerToken;
 
     if (!token) {
       return res.status(401).json({ error: 'Access denied. No token provided.' });
@@ -13,12 +50,20 @@ export const protect = async (req, res, next) => {
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+    // Access tokens are only good while their session is (not logged out or revoked)
+    const session = decoded.sid && await findActiveSession(decoded.sid, decoded.id, req);
+    if (!session) {
+      return res.status(401).json({ error: 'Session expired or revoked.' });
+    }
+
     const user = await User.findById(decoded.id).select("-password");
     if (!user) {
       return res.status(401).json({ error: 'Invalid token. User not found.' });
     }
 
     req.user = user;
+    req.sessionId = session._id;
+    setContextUser(user, session._id);
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -31,8 +76,12 @@ export const protect = async (req, res, next) => {
   }
 };
 
-export const generateToken = (userId) => {
-  return jwt.sign({ id: userId }, process.env.JWT_SECRET, {
-    expiresIn: '7d',
-  });
+// API tokens are for working with leads. Routes that manage credentials or
+// workspace settings (webhooks, forms, picklists, scoring, assignment, custom
+// fields) use this so a token cannot reach them.
+export const requireLogin = (req, res, next) => {
+  if (req.apiToken) {
+    return res.status(403).json({ error: 'This action requires signing in, not an API token.' });
+  }
+  next();
 };
@@ -20,6 +20,11 @@ export const errorHandler = (err, req, res, next) => {
     return res.status(400).json({ error: 'Invalid ID format' });
   }
 
+  // File upload errors
+  if (err.name === 'MulterError') {
+    return res.status(400).json({ error: err.message });
+  }
+
   // JWT errors
   if (err.name === 'JsonWebTokenError') {
     return res.status(401).json({ error: 'Invalid token' });
@@ -31,6 +36,7 @@ export const errorHandler = (err, req, res, next) => {
 
   // Default error
   res.status(err.status || 500).json({
-    error: err.message || 'Internal server error'
+    error: err.message || 'Internal server error',
+    ...(err.details && { details: err.details })
   });
 };
\ No newline at end of file
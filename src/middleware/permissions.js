@@ -0,0 +1,71 @@
+// Role-based permissions layered on top of `protect`
+const ROLE_PERMISSIONS = {
+  admin: [
+    'leads:read:any',
+    'leads:update:any',
+    'leads:delete',
+    'leads:assign',
+    'leads:merge',
+    'activities:manage:any',
+    'tasks:manage:any',
+    'scoring:manage',
+    'views:manage:any',
+    'audit:read',
+    'webhooks:manage',
+    'forms:manage',
+    'assignment:manage',
+    'customFields:manage',
+    'picklists:manage',
+    'stats:read:any'
+  ],
+  user: []
+};
+
+export const hasPermission = (user, permission) => {
+  if (!user) return false;
+  const permissions = ROLE_PERMISSIONS[user.role] || [];
+  return permissions.includes(permission);
+};
+
+// Require one or more permissions for a route
+export const authorize = (...required) => (req, res, next) => {
+  const missing = required.filter(permission => !hasPermission(req.user, permission));
+  if (missing.length) {
+    return res.status(403).json({ error: 'You do not have permission to perform this action' });
+  }
+  next();
+};
+
+// Mongo condition limiting leads to those a user created or is assigned to
+export const leadOwnershipCondition = (user) => ({
+  $or: [{ createdBy: user._id }, { assignedTo: user._id }]
+});
+
+// Restrict a lead query to the leads the user may see for the given action
+export const scopeLeadQuery = (user, query = {}, permission = 'leads:read:any') => {
+  if (hasPermission(user, permission)) return query;
+  if (!Object.keys(query).length) return leadOwnershipCondition(user);
+  return { $and: [leadOwnershipCondition(user), query] };
+};
+
+// Restrict an aggregation pipeline to the leads whose stats the user may see
+export const scopeStatsMatch = (user) =>
+  hasPermission(user, 'stats:read:any') ? {} : leadOwnershipCondition(user);
+
+// Strip fields the current user is not allowed to set on a lead
+export const sanitizeLeadInput = (user, data) => {
+  const sanitized = { ...data };
+  delete sanitized.createdBy;
+  delete sanitized.stageHistory;
+  delete sanitized.assignmentHistory;
+  delete sanitized.isQualified; // derived from status
+  delete sanitized.scoreBreakdown;
+  delete sanitized.scoredAt;
+  delete sanitized.dedupeKeys;
+  delete sanitized.mergedFrom;
+  delete sanitized.mergedInto;
+  delete sanitized.deletedAt;
+  delete sanitized.deletedBy;
+  if (!hasPermission(user, 'leads:assign')) delete sanitized.assignedTo;
+  return sanitized;
+};
@@ -0,0 +1,103 @@
+import { body, validationResult } from 'express-validator';
+import { MAX_TAGS, MAX_TAG_LENGTH, normalizeTags } from '../utils/customFields.js';
+import { checkPicklistChoices, isPicklistValue } from '../utils/picklists.js';
+
+// Async custom validators must throw to fail
+const inPicklist = list => async (value) => {
+  if (!(await isPicklistValue(list, value))) throw new Error(`Invalid ${list}`);
+  return true;
+};
+
+// Validation middleware
+export const validateLead = [
+  body('firstName')
+    .trim()
+    .notEmpty()
+    .withMessage('First name is required')
+    .isLength({ max: 50 })
+    .withMessage('First name cannot exceed 50 characters'),
+  body('lastName')
+    .trim()
+    .notEmpty()
+    .withMessage('Last name is required')
+    .isLength({ max: 50 })
+    .withMessage('Last name cannot exceed 50 characters'),
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please enter a valid email'),
+  body('phone')
+    .matches(/^[\+]?[1-9][\d]{0,15}$/)
+    .withMessage('Please enter a valid phone number'),
+  body('company')
+    .trim()
+    .notEmpty()
+    .withMessage('Company is required')
+    .isLength({ max: 100 })
+    .withMessage('Company name cannot exceed 100 characters'),
+  body('city')
+    .trim()
+    .notEmpty()
+    .withMessage('City is required')
+    .isLength({ max: 50 })
+    .withMessage('City cannot exceed 50 characters'),
+  body('state')
+    .trim()
+    .notEmpty()
+    .withMessage('State is required')
+    .isLength({ max: 50 })
+    .withMessage('State cannot exceed 50 characters'),
+  // Any picklist value passes here; whether a newly chosen one is still
+  // active is checked with checkPicklistChoices
+  body('source')
+    .custom(inPicklist('source')),
+  body('status')
+    .optional()
+    .custom(inPicklist('status')),
+  body('score')
+    .optional({ nullable: true })
+    .isInt({ min: 0, max: 100 })
+    .withMessage('Score must be between 0 and 100'),
+  body('leadValue')
+    .isFloat({ min: 0 })
+    .withMessage('Lead value must be a positive number'),
+  body('isQualified')
+    .optional()
+    .isBoolean()
+    .withMessage('isQualified must be a boolean'),
+  body('lastActivityAt')
+    .custom((value) => {
+      if (!value || value === null || value === '') return true; // allow null/empty
+      const date = new Date(value);
+      if (isNaN(date.getTime())) throw new Error('lastActivityAt must be a valid date');
+      return true;
+    }),
+  body('tags')
+    .optional()
+    .isArray({ max: MAX_TAGS })
+    .withMessage(`Tags must be an array of at most ${MAX_TAGS} tags`)
+    .bail()
+    .custom(tags => tags.every(tag => typeof tag === 'string' && tag.trim().length <= MAX_TAG_LENGTH))
+    .withMessage(`Each tag must be text of at most ${MAX_TAG_LENGTH} characters`)
+    .bail()
+    .customSanitizer(normalizeTags),
+  // Checked against the field definitions in the route, see setLeadCustomFields
+  body('customFields')
+    .optional()
+    .isObject()
+    .withMessage('customFields must be an object')
+];
+
+// Run the validateLead rules against a plain object for a new lead (e.g. an
+// imported row). Returns the sanitized data and any error messages.
+export const validateLeadData = async (data) => {
+  const req = { body: { ...data } };
+  for (const validator of validateLead) {
+    await validator.run(req);
+  }
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return { data: req.body, errors: errors.array().map(err => err.msg) };
+  }
+  return { data: req.body, errors: await checkPicklistChoices(req.body) };
+};
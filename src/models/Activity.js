@@ -0,0 +1,67 @@
+import mongoose from 'mongoose';
+import { recomputeScores } from '../utils/scoring.js';
+
+export const ACTIVITY_TYPES = ['note', 'call', 'meeting', 'email', 'task'];
+
+const activitySchema = new mongoose.Schema({
+  lead: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lead',
+    required: [true, 'Lead is required']
+  },
+  type: {
+    type: String,
+    required: [true, 'Activity type is required'],
+    enum: {
+      values: ACTIVITY_TYPES,
+      message: `Activity type must be one of: ${ACTIVITY_TYPES.join(', ')}`
+    }
+  },
+  subject: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Subject cannot exceed 200 characters']
+  },
+  body: {
+    type: String,
+    trim: true,
+    maxlength: [5000, 'Body cannot exceed 5000 characters']
+  },
+  durationMinutes: {
+    type: Number,
+    min: [0, 'Duration cannot be negative'],
+    default: null
+  },
+  occurredAt: {
+    type: Date,
+    default: Date.now
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+activitySchema.index({ lead: 1, occurredAt: -1 });
+
+// Bump the lead's lastActivityAt, never moving it backwards, and rescore it
+// since activity recency can feed into the score
+activitySchema.statics.touchLead = async function(leadId, occurredAt = new Date()) {
+  await mongoose.model('Lead').updateOne(
+    { _id: leadId },
+    { $max: { lastActivityAt: occurredAt } }
+  );
+  await recomputeScores({ _id: leadId });
+};
+
+// Create an activity and record it on the lead
+activitySchema.statics.log = async function(data) {
+  const activity = await this.create(data);
+  await this.touchLead(activity.lead, activity.occurredAt);
+  return activity;
+};
+
+export default mongoose.model('Activity', activitySchema);
@@ -0,0 +1,80 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+
+export const API_TOKEN_PREFIX = 'lmp_';
+export const API_TOKEN_SCOPES = ['read', 'read_write'];
+
+// Tokens are random, so a fast hash is enough; only the hash is stored
+export const hashApiToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+export const isApiToken = (token) => typeof token === 'string' && token.startsWith(API_TOKEN_PREFIX);
+
+// Personal access token for scripts and integrations
+const apiTokenSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Token name is required'],
+    trim: true,
+    maxlength: [100, 'Token name cannot exceed 100 characters']
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  // First characters of the token, so users can tell their tokens apart
+  tokenPreview: {
+    type: String,
+    required: true
+  },
+  scope: {
+    type: String,
+    enum: {
+      values: API_TOKEN_SCOPES,
+      message: `Scope must be one of: ${API_TOKEN_SCOPES.join(', ')}`
+    },
+    default: 'read'
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedIp: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+apiTokenSchema.index({ user: 1, createdAt: -1 });
+
+// Create a token for a user; the plain token is only available here
+apiTokenSchema.statics.issue = async function({ user, name, scope, expiresAt = null }) {
+  const token = `${API_TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  const apiToken = await this.create({
+    name,
+    user,
+    scope,
+    expiresAt,
+    tokenHash: hashApiToken(token),
+    tokenPreview: token.slice(0, API_TOKEN_PREFIX.length + 6)
+  });
+  return { apiToken, token };
+};
+
+apiTokenSchema.methods.isExpired = function() {
+  return Boolean(this.expiresAt) && this.expiresAt <= new Date();
+};
+
+export default mongoose.model('ApiToken', apiTokenSchema);
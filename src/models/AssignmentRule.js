@@ -0,0 +1,91 @@
+import mongoose from 'mongoose';
+import { SCORING_FIELDS } from './ScoringRule.js';
+
+export const ASSIGNMENT_STRATEGIES = ['round_robin', 'load_balanced'];
+
+// Conditions use the same fields and operators as scoring rules
+export const ASSIGNMENT_FIELDS = SCORING_FIELDS;
+
+const conditionSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    required: [true, 'Condition field is required'],
+    enum: {
+      values: Object.keys(ASSIGNMENT_FIELDS),
+      message: `Condition field must be one of: ${Object.keys(ASSIGNMENT_FIELDS).join(', ')}`
+    }
+  },
+  operator: {
+    type: String,
+    required: [true, 'Condition operator is required'],
+    validate: {
+      validator: function(operator) {
+        return (ASSIGNMENT_FIELDS[this.field] || []).includes(operator);
+      },
+      message: props => `Operator "${props.value}" is not supported for this field`
+    }
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  value2: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  }
+}, { _id: false });
+
+// Routes new leads that match every condition to one of `assignees`.
+// Rules are tried in priority order (lowest first); the first match wins.
+const assignmentRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Rule name is required'],
+    trim: true,
+    maxlength: [100, 'Rule name cannot exceed 100 characters']
+  },
+  // No conditions makes a catch-all rule
+  conditions: {
+    type: [conditionSchema],
+    default: []
+  },
+  strategy: {
+    type: String,
+    enum: {
+      values: ASSIGNMENT_STRATEGIES,
+      message: `Strategy must be one of: ${ASSIGNMENT_STRATEGIES.join(', ')}`
+    },
+    default: 'round_robin'
+  },
+  assignees: {
+    type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    validate: {
+      validator: assignees => assignees.length > 0,
+      message: 'A rule needs at least one assignee'
+    }
+  },
+  priority: {
+    type: Number,
+    default: 100
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  // Position in the round-robin rotation
+  roundRobinCursor: {
+    type: Number,
+    default: 0
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+assignmentRuleSchema.index({ active: 1, priority: 1 });
+
+export default mongoose.model('AssignmentRule', assignmentRuleSchema);
@@ -0,0 +1,51 @@
+import mongoose from 'mongoose';
+
+export const AUDIT_ACTIONS = ['create', 'update', 'delete', 'restore', 'purge'];
+
+const auditLogSchema = new mongoose.Schema({
+  entity: {
+    type: String,
+    required: true,
+    enum: ['Lead', 'User']
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  action: {
+    type: String,
+    required: true,
+    enum: AUDIT_ACTIONS
+  },
+  // Null for changes made outside a logged-in request (scripts, registration)
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+  changes: {
+    type: [{
+      _id: false,
+      field: String,
+      before: mongoose.Schema.Types.Mixed,
+      after: mongoose.Schema.Types.Mixed
+    }],
+    default: []
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditLogSchema.index({ entity: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: -1 });
+
+export default mongoose.model('AuditLog', auditLogSchema);
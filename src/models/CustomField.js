@@ -0,0 +1,68 @@
+import mongoose from 'mongoose';
+
+export const CUSTOM_FIELD_TYPES = ['text', 'number', 'date', 'select', 'multiselect'];
+
+// Types whose values must come from `options`
+export const OPTION_TYPES = ['select', 'multiselect'];
+
+// An admin-defined lead field. Values live in lead.customFields under `key`.
+const customFieldSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Field key is required'],
+    unique: true,
+    immutable: true,
+    trim: true,
+    match: [/^[a-z][a-z0-9_]{0,39}$/, 'Key must start with a letter and contain only lowercase letters, digits and underscores']
+  },
+  label: {
+    type: String,
+    required: [true, 'Field label is required'],
+    trim: true,
+    maxlength: [100, 'Label cannot exceed 100 characters']
+  },
+  // Fixed once created so stored values keep matching their type
+  type: {
+    type: String,
+    required: [true, 'Field type is required'],
+    immutable: true,
+    enum: {
+      values: CUSTOM_FIELD_TYPES,
+      message: `Field type must be one of: ${CUSTOM_FIELD_TYPES.join(', ')}`
+    }
+  },
+  options: {
+    type: [{ type: String, trim: true, maxlength: [100, 'Options cannot exceed 100 characters'] }],
+    default: []
+  },
+  required: {
+    type: Boolean,
+    default: false
+  },
+  // Inactive fields can't be set any more but stay filterable and sortable
+  active: {
+    type: Boolean,
+    default: true
+  },
+  order: {
+    type: Number,
+    default: 0
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+customFieldSchema.pre('validate', function(next) {
+  if (OPTION_TYPES.includes(this.type) && !this.options.length) {
+    this.invalidate('options', 'Select fields need at least one option');
+  }
+  if (!OPTION_TYPES.includes(this.type)) this.options = [];
+  next();
+});
+
+export default mongoose.model('CustomField', customFieldSchema);
@@ -0,0 +1,93 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+
+// A key lets one website form submit leads without logging in. Keys are
+// embedded in public pages, so they identify a form rather than grant access.
+const formKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Form name is required'],
+    trim: true,
+    maxlength: [100, 'Form name cannot exceed 100 characters']
+  },
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    default: () => `fk_${crypto.randomBytes(16).toString('hex')}`
+  },
+  // Captured leads are created by this user
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Origins allowed to submit, e.g. "https://www.example.com". Empty allows any,
+  // for server-side integrations.
+  allowedOrigins: {
+    type: [String],
+    default: []
+  },
+  // Defaults applied to every captured lead
+  source: {
+    type: String,
+    default: 'website'
+  },
+  leadValue: {
+    type: Number,
+    min: [0, 'Lead value cannot be negative'],
+    default: 0
+  },
+  // Submissions per minute from one IP
+  rateLimit: {
+    type: Number,
+    min: [1, 'Rate limit must be at least 1'],
+    max: [1000, 'Rate limit cannot exceed 1000'],
+    default: 10
+  },
+  // Hidden form field that people leave empty and bots fill in
+  honeypotField: {
+    type: String,
+    trim: true,
+    default: '_gotcha'
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  submissionCount: {
+    type: Number,
+    default: 0
+  },
+  spamCount: {
+    type: Number,
+    default: 0
+  },
+  lastSubmissionAt: {
+    type: Date,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Normalize an Origin or Referer header to "scheme://host[:port]"
+export const normalizeOrigin = (value) => {
+  try {
+    return new URL(value).origin;
+  } catch {
+    return null;
+  }
+};
+
+formKeySchema.methods.allowsOrigin = function(origin) {
+  if (!this.allowedOrigins.length) return true;
+  return Boolean(origin) && this.allowedOrigins.includes(origin);
+};
+
+export default mongoose.model('FormKey', formKeySchema);
@@ -1,4 +1,55 @@
 import mongoose from 'mongoose';
+import { isQualifiedStatus } from '../utils/pipeline.js';
+import { defaultStatus, getPicklist } from '../utils/picklists.js';
+import { buildDedupeKeys } from '../utils/duplicates.js';
+import auditPlugin from './plugins/audit.js';
+
+const stageChangeSchema = new mongoose.Schema({
+  from: {
+    type: String,
+    default: null
+  },
+  to: {
+    type: String,
+    required: true
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const assignmentChangeSchema = new mongoose.Schema({
+  from: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  to: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Null when an assignment rule made the change
+  assignedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  rule: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AssignmentRule',
+    default: null
+  },
+  assignedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
 
 const leadSchema = new mongoose.Schema({
   firstName: {
@@ -16,7 +67,7 @@ const leadSchema = new mongoose.Schema({
   email: {
     type: String,
     required: [true, 'Email is required'],
-    unique: true, // ✅ keep this
+    // Unique among leads that are not in the trash, see the partial index below
     lowercase: true,
     trim: true,
     match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
@@ -45,22 +96,16 @@ const leadSchema = new mongoose.Schema({
     trim: true,
     maxlength: [50, 'State cannot exceed 50 characters']
   },
+  // Source and status values come from the admin-managed picklists and are
+  // checked in the routes; see utils/picklists.js
   source: {
     type: String,
-    required: [true, 'Source is required'],
-    enum: {
-      values: ['website', 'facebook_ads', 'google_ads', 'referral', 'events', 'other'],
-      message: 'Source must be one of: website, facebook_ads, google_ads, referral, events, other'
-    }
+    required: [true, 'Source is required']
   },
+  // Defaults to the first active open status, see the pre-validate hook below
   status: {
     type: String,
-    required: [true, 'Status is required'],
-    enum: {
-      values: ['new', 'contacted', 'qualified', 'lost', 'won'],
-      message: 'Status must be one of: new, contacted, qualified, lost, won'
-    },
-    default: 'new'
+    required: [true, 'Status is required']
   },
   score: {
     type: Number,
@@ -69,6 +114,20 @@ const leadSchema = new mongoose.Schema({
     max: [100, 'Score cannot be greater than 100'],
     default: 0
   },
+  // Rules that contributed to the score, when scoring rules are active
+  scoreBreakdown: {
+    type: [{
+      _id: false,
+      rule: { type: mongoose.Schema.Types.ObjectId, ref: 'ScoringRule' },
+      name: String,
+      points: Number
+    }],
+    default: []
+  },
+  scoredAt: {
+    type: Date,
+    default: null
+  },
   leadValue: {
     type: Number,
     required: [true, 'Lead value is required'],
@@ -79,24 +138,154 @@ const leadSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  // Free-form labels, lowercased; see utils/customFields.js
+  tags: {
+    type: [String],
+    default: []
+  },
+  // Values of admin-defined fields keyed by CustomField.key. Validated against
+  // the definitions in the routes, since those can change without a deploy.
+  customFields: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Derived from status, see the pre-validate hook below
   isQualified: {
     type: Boolean,
     default: false
   },
+  stageHistory: {
+    type: [stageChangeSchema],
+    default: []
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true
+  },
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  assignmentHistory: {
+    type: [assignmentChangeSchema],
+    default: []
+  },
+  // Normalized name/company/phone/domain used to find likely duplicates
+  dedupeKeys: {
+    lastName: { type: String, default: null },
+    company: { type: String, default: null },
+    phone: { type: String, default: null },
+    emailDomain: { type: String, default: null }
+  },
+  // Soft delete: trashed leads are hidden from reads, updates and aggregations
+  // unless the `withDeleted` query option is set or the filter mentions
+  // deletedAt. deleteOne/deleteMany and bulkWrite are not filtered.
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // The lead this one was merged into, if that is why it was trashed
+  mergedInto: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lead',
+    default: null
+  },
+  // Snapshots of leads merged into this one
+  mergedFrom: {
+    type: [{
+      _id: false,
+      lead: mongoose.Schema.Types.ObjectId,
+      data: mongoose.Schema.Types.Mixed,
+      mergedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      mergedAt: { type: Date, default: Date.now }
+    }],
+    default: []
   }
 }, {
   timestamps: true
 });
 
+// Keep isQualified in step with the pipeline stage and record the initial stage
+leadSchema.pre('validate', async function() {
+  if (this.isNew || this.isModified('status')) {
+    const statuses = await getPicklist('status');
+    if (!this.status) this.status = defaultStatus(statuses);
+    this.isQualified = isQualifiedStatus(this.status, statuses);
+  }
+  this.dedupeKeys = buildDedupeKeys(this);
+  if (this.isNew && !this.stageHistory.length) {
+    this.stageHistory.push({ from: null, to: this.status, changedBy: this.createdBy, changedAt: new Date() });
+  }
+});
+
+// Hide trashed leads from queries and aggregations
+const excludeDeleted = function() {
+  if (this.getOptions().withDeleted || 'deletedAt' in this.getFilter()) return;
+  this.where({ deletedAt: null });
+};
+
+leadSchema.pre(
+  ['find', 'findOne', 'countDocuments', 'distinct', 'findOneAndUpdate', 'findOneAndDelete', 'updateOne', 'updateMany'],
+  excludeDeleted
+);
+
+// Merged into a leading $match rather than added before it, since $text
+// searches must be in the first stage
+leadSchema.pre('aggregate', function() {
+  if (this.options.withDeleted) return;
+  const [first] = this.pipeline();
+  if (first?.$match && 'deletedAt' in first.$match) return;
+  if (first?.$match) {
+    first.$match = { $and: [{ deletedAt: null }, first.$match] };
+    return;
+  }
+  this.pipeline().unshift({ $match: { deletedAt: null } });
+});
+
 // ✅ Keep only non-duplicate indexes
+leadSchema.index(
+  { email: 1 },
+  { unique: true, partialFilterExpression: { deletedAt: { $type: 'null' } } }
+);
 leadSchema.index({ status: 1 });
 leadSchema.index({ source: 1 });
 leadSchema.index({ score: 1 });
 leadSchema.index({ createdAt: -1 });
 leadSchema.index({ lastActivityAt: -1 });
+leadSchema.index({ createdBy: 1 });
+leadSchema.index({ assignedTo: 1 });
+leadSchema.index({ tags: 1 });
+// Custom fields are defined at runtime, so one wildcard index covers them all
+leadSchema.index({ 'customFields.$**': 1 });
+leadSchema.index({ deletedAt: 1 });
+leadSchema.index({ 'dedupeKeys.lastName': 1 });
+leadSchema.index({ 'dedupeKeys.company': 1 });
+leadSchema.index({ 'dedupeKeys.phone': 1 });
+leadSchema.index({ 'dedupeKeys.emailDomain': 1 });
+
+// Full-text search, weighted towards names and email
+leadSchema.index({
+  firstName: 'text',
+  lastName: 'text',
+  email: 'text',
+  company: 'text',
+  city: 'text',
+  state: 'text'
+}, {
+  name: 'lead_text_search',
+  weights: { firstName: 5, lastName: 5, email: 4, company: 3, city: 1, state: 1 }
+});
+
+leadSchema.plugin(auditPlugin, {
+  entity: 'Lead',
+  ignore: ['dedupeKeys', 'scoreBreakdown', 'scoredAt', 'stageHistory', 'assignmentHistory', 'mergedFrom', 'searchScore']
+});
 
 export default mongoose.model('Lead', leadSchema);
@@ -0,0 +1,88 @@
+import mongoose from 'mongoose';
+
+// Lead fields whose values come from an admin-managed list
+export const PICKLISTS = ['source', 'status'];
+
+// How a status counts in stats: still being worked, or closed either way
+export const STATUS_CATEGORIES = ['open', 'won', 'lost'];
+
+export const PICKLIST_VALUE_PATTERN = /^[a-z][a-z0-9_]{0,49}$/;
+
+// One entry of a picklist. `value` is what leads store; `label` is for display
+// and can change freely. Status entries also carry the pipeline settings.
+const picklistValueSchema = new mongoose.Schema({
+  list: {
+    type: String,
+    required: true,
+    immutable: true,
+    enum: {
+      values: PICKLISTS,
+      message: `List must be one of: ${PICKLISTS.join(', ')}`
+    }
+  },
+  value: {
+    type: String,
+    required: [true, 'Value is required'],
+    trim: true,
+    match: [PICKLIST_VALUE_PATTERN, 'Value must start with a letter and contain only lowercase letters, digits and underscores']
+  },
+  label: {
+    type: String,
+    required: [true, 'Label is required'],
+    trim: true,
+    maxlength: [100, 'Label cannot exceed 100 characters']
+  },
+  order: {
+    type: Number,
+    default: 0
+  },
+  // Inactive values can't be chosen any more, but leads that already have
+  // one keep it and it still shows up in filters and stats
+  active: {
+    type: Boolean,
+    default: true
+  },
+  // Statuses only
+  category: {
+    type: String,
+    enum: {
+      values: STATUS_CATEGORIES,
+      message: `Category must be one of: ${STATUS_CATEGORIES.join(', ')}`
+    },
+    default: null
+  },
+  // Statuses only: leads in this status count as qualified
+  qualified: {
+    type: Boolean,
+    default: false
+  },
+  // Statuses only: the statuses a lead may move to from this one
+  transitions: {
+    type: [String],
+    default: []
+  },
+  // Null for the built-in defaults
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+picklistValueSchema.pre('validate', function(next) {
+  if (this.list === 'status') {
+    this.category = this.category || 'open';
+  } else {
+    this.category = null;
+    this.qualified = false;
+    this.transitions = [];
+  }
+  next();
+});
+
+picklistValueSchema.index({ list: 1, value: 1 }, { unique: true });
+picklistValueSchema.index({ list: 1, order: 1 });
+
+export default mongoose.model('PicklistValue', picklistValueSchema);
@@ -0,0 +1,21 @@
+import mongoose from 'mongoose';
+
+// Hit counts for the shared rate limit store, one document per key and window
+const rateLimitCounterSchema = new mongoose.Schema({
+  _id: String,
+  count: {
+    type: Number,
+    default: 0
+  },
+  resetAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  versionKey: false
+});
+
+// Finished windows are removed by MongoDB
+rateLimitCounterSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('RateLimitCounter', rateLimitCounterSchema);
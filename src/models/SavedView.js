@@ -0,0 +1,59 @@
+import mongoose from 'mongoose';
+
+const savedViewSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'View name is required'],
+    trim: true,
+    maxlength: [100, 'View name cannot exceed 100 characters']
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Stored as sent so relative dates are resolved each time the view is used
+  filters: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  search: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  sortBy: {
+    type: String,
+    trim: true,
+    default: 'createdAt'
+  },
+  sortOrder: {
+    type: String,
+    enum: {
+      values: ['asc', 'desc'],
+      message: 'Sort order must be asc or desc'
+    },
+    default: 'desc'
+  },
+  columns: {
+    type: [String],
+    default: []
+  },
+  shared: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+savedViewSchema.index({ owner: 1, name: 1 });
+savedViewSchema.index({ shared: 1 });
+
+// Views a user may apply: their own plus everything shared with the team
+savedViewSchema.statics.visibleTo = function(user) {
+  return { $or: [{ owner: user._id }, { shared: true }] };
+};
+
+export default mongoose.model('SavedView', savedViewSchema);
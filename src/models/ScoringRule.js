@@ -0,0 +1,67 @@
+import mongoose from 'mongoose';
+
+// Lead fields scoring rules can look at, and the operators each supports
+export const SCORING_FIELDS = {
+  source: ['equals', 'in'],
+  status: ['equals', 'in'],
+  state: ['equals', 'in'],
+  company: ['equals', 'contains'],
+  leadValue: ['equals', 'gt', 'lt', 'between'],
+  lastActivityAt: ['within_days', 'older_than_days', 'is_empty']
+};
+
+const scoringRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Rule name is required'],
+    trim: true,
+    maxlength: [100, 'Rule name cannot exceed 100 characters']
+  },
+  field: {
+    type: String,
+    required: [true, 'Field is required'],
+    enum: {
+      values: Object.keys(SCORING_FIELDS),
+      message: `Field must be one of: ${Object.keys(SCORING_FIELDS).join(', ')}`
+    }
+  },
+  operator: {
+    type: String,
+    required: [true, 'Operator is required'],
+    validate: {
+      validator: function(operator) {
+        return (SCORING_FIELDS[this.field] || []).includes(operator);
+      },
+      message: props => `Operator "${props.value}" is not supported for this field`
+    }
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  value2: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  points: {
+    type: Number,
+    required: [true, 'Points are required'],
+    min: [-100, 'Points cannot be less than -100'],
+    max: [100, 'Points cannot be greater than 100']
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+scoringRuleSchema.index({ active: 1 });
+
+export default mongoose.model('ScoringRule', scoringRuleSchema);
@@ -0,0 +1,61 @@
+import mongoose from 'mongoose';
+
+// One signed-in device. Access tokens carry the session ID so `protect` can
+// reject them as soon as the session is revoked.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  // The token rotated out last; seeing it again means it was stolen
+  previousTokenHash: {
+    type: String,
+    default: null,
+    select: false
+  },
+  device: {
+    type: String,
+    default: 'Unknown device'
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ previousTokenHash: 1 });
+// Expired sessions are removed by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Sessions that can still be used
+sessionSchema.statics.activeFilter = function(filter = {}) {
+  return { ...filter, revokedAt: null, expiresAt: { $gt: new Date() } };
+};
+
+export default mongoose.model('Session', sessionSchema);
@@ -0,0 +1,96 @@
+import mongoose from 'mongoose';
+
+export const TASK_PRIORITIES = ['low', 'medium', 'high'];
+
+// A follow-up scheduled against a lead, e.g. "call back Thursday"
+const taskSchema = new mongoose.Schema({
+  lead: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lead',
+    required: true
+  },
+  title: {
+    type: String,
+    required: [true, 'Task title is required'],
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [5000, 'Notes cannot exceed 5000 characters'],
+    default: ''
+  },
+  dueAt: {
+    type: Date,
+    required: [true, 'Due date is required']
+  },
+  // When to send a reminder; null for none
+  remindAt: {
+    type: Date,
+    default: null
+  },
+  priority: {
+    type: String,
+    enum: {
+      values: TASK_PRIORITIES,
+      message: `Priority must be one of: ${TASK_PRIORITIES.join(', ')}`
+    },
+    default: 'medium'
+  },
+  assignee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  done: {
+    type: Boolean,
+    default: false
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  completedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Set by the task scheduler once the due date has passed
+  overdue: {
+    type: Boolean,
+    default: false
+  },
+  reminderSentAt: {
+    type: Date,
+    default: null
+  },
+  overdueNotifiedAt: {
+    type: Date,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Moving the due date clears the overdue flag until the scheduler sees it again
+taskSchema.pre('save', function(next) {
+  if (this.isModified('dueAt') && !this.isNew) {
+    this.overdue = !this.done && this.dueAt <= new Date();
+    if (!this.overdue) this.overdueNotifiedAt = null;
+  }
+  if (this.isModified('remindAt')) this.reminderSentAt = null;
+  next();
+});
+
+taskSchema.index({ assignee: 1, done: 1, dueAt: 1 });
+taskSchema.index({ lead: 1, dueAt: 1 });
+taskSchema.index({ done: 1, overdue: 1, dueAt: 1 });
+taskSchema.index({ done: 1, reminderSentAt: 1, remindAt: 1 });
+
+export default mongoose.model('Task', taskSchema);
@@ -1,5 +1,11 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import auditPlugin from './plugins/audit.js';
+import { getRequestContext } from '../utils/requestContext.js';
+import { revokeSessions } from '../utils/sessions.js';
+
+const MAX_FAILED_LOGINS = 5;
+const LOCK_DURATION_MS = 15 * 60 * 1000;
 
 const userSchema = new mongoose.Schema({
   firstName: {
@@ -31,6 +37,27 @@ const userSchema = new mongoose.Schema({
     type: String,
     enum: ['admin', 'user'],
     default: 'user'
+  },
+  passwordChangedAt: {
+    type: Date,
+    default: null
+  },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date,
+    default: null
+  },
+  // Consecutive failed logins; reaching MAX_FAILED_LOGINS locks the account
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
   }
 }, {
   timestamps: true
@@ -39,6 +66,10 @@ const userSchema = new mongoose.Schema({
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
+  if (!this.isNew) {
+    this.passwordChangedAt = new Date();
+    this.$locals.passwordChanged = true;
+  }
   try {
     const salt = await bcrypt.genSalt(12);
     this.password = await bcrypt.hash(this.password, salt);
@@ -48,11 +79,41 @@ userSchema.pre('save', async function(next) {
   }
 });
 
+// A new password signs out every other session; the one that changed it stays
+userSchema.post('save', async function() {
+  if (!this.$locals.passwordChanged) return;
+  this.$locals.passwordChanged = false;
+  await revokeSessions(this._id, { except: getRequestContext().sessionId });
+});
+
 // Compare password
 userSchema.methods.comparePassword = async function(candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
+userSchema.methods.isLocked = function() {
+  return Boolean(this.lockedUntil) && this.lockedUntil > new Date();
+};
+
+// Count a failed login; too many in a row lock the account for a while
+userSchema.methods.registerFailedLogin = async function() {
+  const user = await this.constructor.findOneAndUpdate(
+    { _id: this._id },
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true }
+  );
+  if (user && user.failedLoginAttempts >= MAX_FAILED_LOGINS) {
+    await this.constructor.updateOne(
+      { _id: this._id },
+      { failedLoginAttempts: 0, lockedUntil: new Date(Date.now() + LOCK_DURATION_MS) }
+    );
+  }
+};
+
+userSchema.methods.resetFailedLogins = function() {
+  return this.constructor.updateOne({ _id: this._id }, { failedLoginAttempts: 0, lockedUntil: null });
+};
+
 // Remove password from JSON output
 userSchema.methods.toJSON = function() {
   const obj = this.toObject();
@@ -60,4 +121,10 @@ userSchema.methods.toJSON = function() {
   return obj;
 };
 
+userSchema.plugin(auditPlugin, {
+  entity: 'User',
+  ignore: ['failedLoginAttempts'],
+  redact: ['password']
+});
+
 export default mongoose.model('User', userSchema);
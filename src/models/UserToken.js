@@ -0,0 +1,63 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+
+export const USER_TOKEN_TYPES = ['verify_email', 'reset_password'];
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Single-use, expiring tokens sent by email (verification, password reset)
+const userTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: USER_TOKEN_TYPES
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+userTokenSchema.index({ user: 1, type: 1 });
+// Expired tokens are removed by MongoDB
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Create a token, replacing any unused one of the same type
+userTokenSchema.statics.issue = async function(userId, type, ttlMs) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  await this.deleteMany({ user: userId, type, usedAt: null });
+  await this.create({
+    user: userId,
+    type,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMs)
+  });
+  return token;
+};
+
+// Mark a token used and return it, or null if it is unknown, used or expired
+userTokenSchema.statics.consume = function(token, type) {
+  return this.findOneAndUpdate(
+    { tokenHash: hashToken(String(token)), type, usedAt: null, expiresAt: { $gt: new Date() } },
+    { usedAt: new Date() },
+    { new: true }
+  );
+};
+
+export default mongoose.model('UserToken', userTokenSchema);
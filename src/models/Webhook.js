@@ -0,0 +1,47 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+
+export const WEBHOOK_EVENTS = ['lead.created', 'lead.updated', 'lead.status_changed', 'lead.deleted'];
+
+const webhookSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Webhook name is required'],
+    trim: true,
+    maxlength: [100, 'Webhook name cannot exceed 100 characters']
+  },
+  url: {
+    type: String,
+    required: [true, 'Webhook URL is required'],
+    trim: true
+  },
+  events: {
+    type: [{ type: String, enum: WEBHOOK_EVENTS }],
+    validate: {
+      validator: events => events.length > 0,
+      message: 'A webhook must subscribe to at least one event'
+    }
+  },
+  // Used to sign payloads; only shown when the webhook is created
+  secret: {
+    type: String,
+    required: true,
+    select: false,
+    default: () => crypto.randomBytes(32).toString('hex')
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+webhookSchema.index({ active: 1, events: 1 });
+
+export default mongoose.model('Webhook', webhookSchema);
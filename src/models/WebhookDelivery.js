@@ -0,0 +1,82 @@
+import mongoose from 'mongoose';
+
+export const DELIVERY_STATUSES = ['pending', 'succeeded', 'failed'];
+
+const attemptSchema = new mongoose.Schema({
+  attemptedAt: {
+    type: Date,
+    required: true
+  },
+  responseStatus: {
+    type: Number,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  durationMs: Number
+}, { _id: false });
+
+// One event sent to one webhook. Pending deliveries double as the retry queue.
+const webhookDeliverySchema = new mongoose.Schema({
+  webhook: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webhook',
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: DELIVERY_STATUSES,
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastAttemptAt: {
+    type: Date,
+    default: null
+  },
+  responseStatus: {
+    type: Number,
+    default: null
+  },
+  // Truncated response body from the last attempt
+  responseBody: {
+    type: String,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  attemptLog: {
+    type: [attemptSchema],
+    default: []
+  },
+  replayOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookDelivery',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+
+export default mongoose.model('WebhookDelivery', webhookDeliverySchema);
@@ -0,0 +1,146 @@
+import mongoose from 'mongoose';
+import { writeAuditEntries } from '../../utils/audit.js';
+
+// Mongoose plugin recording create/update/delete of a model in the audit log,
+// with a before/after diff of the changed fields. The actor and IP come from
+// the request context set up in server.js and `protect`.
+//
+// bulkWrite runs no middleware, so code using it writes its own entries
+// (recomputeScores) or only touches ignored fields (backfillDedupeKeys).
+//
+// Options:
+//   entity  - name stored on each log entry
+//   ignore  - fields left out of diffs (timestamps, derived data)
+//   redact  - fields whose changes are logged without their values
+
+const ALWAYS_IGNORED = ['_id', '__v', 'createdAt', 'updatedAt'];
+const REDACTED = '[redacted]';
+// Documents diffed per query after an updateMany
+const AFTER_BATCH_SIZE = 500;
+
+const normalize = (value) => {
+  if (value === undefined || value === null) return null;
+  if (value instanceof mongoose.Types.ObjectId) return String(value);
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.map(normalize);
+  if (typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, normalize(item)]));
+  }
+  return value;
+};
+
+const diff = (before, after, { ignore, redact }) => {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const changes = [];
+
+  fields.forEach(field => {
+    if (ALWAYS_IGNORED.includes(field) || ignore.includes(field)) return;
+    const from = normalize(before?.[field]);
+    const to = normalize(after?.[field]);
+    if (JSON.stringify(from) === JSON.stringify(to)) return;
+
+    changes.push(redact.includes(field)
+      ? { field, before: REDACTED, after: REDACTED }
+      : { field, before: from, after: to });
+  });
+
+  return changes;
+};
+
+// Top-level fields an update document writes, or null for an aggregation
+// pipeline update, where they can't be told from its shape
+const updatedFields = (update) => {
+  if (!update || Array.isArray(update)) return null;
+  const fields = new Set();
+  Object.entries(update).forEach(([key, value]) => {
+    const paths = key.startsWith('$') ? Object.keys(value || {}) : [key];
+    paths.forEach(path => fields.add(path.split('.')[0]));
+  });
+  return [...fields];
+};
+
+// Soft deletes and restores show up as updates to deletedAt
+const actionFor = (before, after) => {
+  if (!before) return 'create';
+  if (!after) return 'purge';
+  if (!before.deletedAt && after.deletedAt) return 'delete';
+  if (before.deletedAt && !after.deletedAt) return 'restore';
+  return 'update';
+};
+
+export default function auditPlugin(schema, { entity, ignore = [], redact = [] }) {
+  const options = { ignore, redact };
+
+  const buildEntry = (before, after, action = actionFor(before, after)) => {
+    const changes = diff(before, after, options);
+    if (!changes.length && action === 'update') return null;
+    return { entity, entityId: (after || before)._id, action, changes };
+  };
+
+  const record = (before, after, action) =>
+    writeAuditEntries([buildEntry(before, after, action)].filter(Boolean));
+
+  // Document saves: remember what was loaded so saves can be diffed
+  schema.post('init', function() {
+    this.$locals.auditOriginal = this.toObject({ depopulate: true });
+  });
+
+  schema.pre('save', function() {
+    this.$locals.auditWasNew = this.isNew;
+  });
+
+  schema.post('save', async function(doc) {
+    const after = doc.toObject({ depopulate: true });
+    await record(doc.$locals.auditWasNew ? null : doc.$locals.auditOriginal, after);
+    doc.$locals.auditOriginal = after;
+  });
+
+  schema.post('insertMany', async function(docs) {
+    await writeAuditEntries(docs.map(doc => buildEntry(null, doc.toObject({ depopulate: true }))));
+  });
+
+  // Query updates: snapshot matching documents before, diff them after.
+  // Updates only snapshot the fields they write (and deletedAt, which tells
+  // a soft delete apart), so a bulk update doesn't copy whole documents.
+  const snapshotBefore = async function() {
+    const fields = /delete/i.test(this.op) ? null : updatedFields(this.getUpdate())
+      ?.filter(field => !ALWAYS_IGNORED.includes(field) && !ignore.includes(field));
+    this._auditProjection = fields && Object.fromEntries([...fields, 'deletedAt'].map(field => [field, 1]));
+
+    const query = this.model.find(this.getFilter(), this._auditProjection, { withDeleted: true }).lean();
+    if (!['updateMany', 'deleteMany'].includes(this.op)) query.limit(1);
+    this._auditBefore = await query;
+  };
+
+  const recordAfter = async function() {
+    const before = this._auditBefore || [];
+
+    for (let start = 0; start < before.length; start += AFTER_BATCH_SIZE) {
+      const batch = before.slice(start, start + AFTER_BATCH_SIZE);
+      const after = await this.model.find(
+        { _id: { $in: batch.map(doc => doc._id) } },
+        this._auditProjection,
+        { withDeleted: true }
+      ).lean();
+      const afterById = new Map(after.map(doc => [String(doc._id), doc]));
+
+      await writeAuditEntries(batch
+        .filter(doc => afterById.has(String(doc._id)))
+        .map(doc => buildEntry(doc, afterById.get(String(doc._id))))
+        .filter(Boolean));
+    }
+  };
+
+  schema.pre(['updateOne', 'updateMany', 'findOneAndUpdate'], { document: false, query: true }, snapshotBefore);
+  schema.post(['updateOne', 'updateMany', 'findOneAndUpdate'], { document: false, query: true }, recordAfter);
+
+  // Hard deletes
+  schema.post('deleteOne', { document: true, query: false }, async function(doc) {
+    await record(doc.toObject({ depopulate: true }), null, 'purge');
+  });
+
+  schema.pre(['deleteOne', 'deleteMany', 'findOneAndDelete'], { document: false, query: true }, snapshotBefore);
+  schema.post(['deleteOne', 'deleteMany', 'findOneAndDelete'], { document: false, query: true }, async function() {
+    await writeAuditEntries((this._auditBefore || []).map(doc => buildEntry(doc, null, 'purge')));
+  });
+}
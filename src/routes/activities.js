@@ -0,0 +1,204 @@
+import express from 'express';
+import { body, validationResult, query } from 'express-validator';
+import Activity, { ACTIVITY_TYPES } from '../models/Activity.js';
+import Lead from '../models/Lead.js';
+import { hasPermission, scopeLeadQuery } from '../middleware/permissions.js';
+
+// Mounted under /api/leads/:id/activities, so `protect` has already run
+const router = express.Router({ mergeParams: true });
+
+// Validation middleware
+const validateActivity = [
+  body('type')
+    .isIn(ACTIVITY_TYPES)
+    .withMessage(`Type must be one of: ${ACTIVITY_TYPES.join(', ')}`),
+  body('subject')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Subject cannot exceed 200 characters'),
+  body('body')
+    .optional()
+    .trim()
+    .isLength({ max: 5000 })
+    .withMessage('Body cannot exceed 5000 characters'),
+  body('durationMinutes')
+    .optional({ nullable: true })
+    .isInt({ min: 0 })
+    .withMessage('Duration must be a positive number of minutes'),
+  body('occurredAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('occurredAt must be a valid date')
+];
+
+const pickActivityFields = ({ type, subject, body, durationMinutes, occurredAt }) => {
+  const data = { type, subject, body, durationMinutes };
+  if (occurredAt) data.occurredAt = new Date(occurredAt);
+  return Object.fromEntries(Object.entries(data).filter(([, value]) => value !== undefined));
+};
+
+// Load the parent lead, respecting the caller's visibility
+router.use(async (req, res, next) => {
+  try {
+    const lead = await Lead.findOne(scopeLeadQuery(req.user, { _id: req.params.id }));
+    if (!lead) {
+      return res.status(404).json({ error: 'Lead not found' });
+    }
+    req.lead = lead;
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Only the author or an admin may change an activity
+const loadOwnActivity = async (req, res, next) => {
+  try {
+    const activity = await Activity.findOne({ _id: req.params.activityId, lead: req.lead._id });
+    if (!activity) {
+      return res.status(404).json({ error: 'Activity not found' });
+    }
+
+    const isAuthor = activity.createdBy.equals(req.user._id);
+    if (!isAuthor && !hasPermission(req.user, 'activities:manage:any')) {
+      return res.status(403).json({ error: 'You do not have permission to perform this action' });
+    }
+
+    req.activity = activity;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get a lead's activity timeline
+router.get('/', [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('type').optional().isIn(ACTIVITY_TYPES).withMessage('Invalid activity type')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array().map(err => err.msg)
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const filter = { lead: req.lead._id };
+    if (req.query.type) filter.type = req.query.type;
+
+    const [activities, total] = await Promise.all([
+      Activity.find(filter)
+        .sort({ occurredAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('createdBy', 'firstName lastName email'),
+      Activity.countDocuments(filter)
+    ]);
+
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      activities,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalActivities: total,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1,
+        limit
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get single activity
+router.get('/:activityId', async (req, res, next) => {
+  try {
+    const activity = await Activity.findOne({ _id: req.params.activityId, lead: req.lead._id })
+      .populate('createdBy', 'firstName lastName email');
+
+    if (!activity) {
+      return res.status(404).json({ error: 'Activity not found' });
+    }
+
+    res.json({ activity });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Log activity
+router.post('/', validateActivity, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array().map(err => err.msg)
+      });
+    }
+
+    const activity = await Activity.log({
+      ...pickActivityFields(req.body),
+      lead: req.lead._id,
+      createdBy: req.user._id
+    });
+
+    await activity.populate('createdBy', 'firstName lastName email');
+
+    res.status(201).json({
+      message: 'Activity logged successfully',
+      activity
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update activity
+router.put('/:activityId', loadOwnActivity, validateActivity, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array().map(err => err.msg)
+      });
+    }
+
+    const { activity } = req;
+    activity.set(pickActivityFields(req.body));
+    await activity.save();
+    await Activity.touchLead(activity.lead, activity.occurredAt);
+
+    await activity.populate('createdBy', 'firstName lastName email');
+
+    res.json({
+      message: 'Activity updated successfully',
+      activity
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete activity
+router.delete('/:activityId', loadOwnActivity, async (req, res, next) => {
+  try {
+    await req.activity.deleteOne();
+
+    res.json({ message: 'Activity deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
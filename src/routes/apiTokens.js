@@ -0,0 +1,91 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import ApiToken, { API_TOKEN_SCOPES } from '../models/ApiToken.js';
+import { protect, requireLogin } from '../middleware/auth.js';
+
+// Mounted under /api/auth/tokens. Users manage their own tokens only.
+const router = express.Router();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_TOKENS_PER_USER = 20;
+
+router.use(protect);
+router.use(requireLogin);
+
+// Validation middleware
+const validateToken = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Token name is required')
+    .isLength({ max: 100 })
+    .withMessage('Token name cannot exceed 100 characters'),
+  body('scope')
+    .optional()
+    .isIn(API_TOKEN_SCOPES)
+    .withMessage(`Scope must be one of: ${API_TOKEN_SCOPES.join(', ')}`),
+  body('expiresInDays')
+    .optional({ nullable: true })
+    .isInt({ min: 1, max: 365 })
+    .withMessage('expiresInDays must be between 1 and 365')
+];
+
+// Get my tokens
+router.get('/', async (req, res, next) => {
+  try {
+    const tokens = await ApiToken.find({ user: req.user._id }).sort({ createdAt: -1 });
+
+    res.json({ tokens });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create a token. The token itself is only returned in this response
+router.post('/', validateToken, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array().map(err => err.msg)
+      });
+    }
+
+    if ((await ApiToken.countDocuments({ user: req.user._id })) >= MAX_TOKENS_PER_USER) {
+      return res.status(400).json({ error: `You cannot have more than ${MAX_TOKENS_PER_USER} API tokens` });
+    }
+
+    const { name, scope = 'read', expiresInDays } = req.body;
+    const { apiToken, token } = await ApiToken.issue({
+      user: req.user._id,
+      name,
+      scope,
+      expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * DAY_MS) : null
+    });
+
+    res.status(201).json({
+      message: 'API token created. Copy it now, it will not be shown again.',
+      token,
+      apiToken
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Revoke a token
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const apiToken = await ApiToken.findOneAndDelete({ _id: req.params.id, user: req.user._id });
+    if (!apiToken) {
+      return res.status(404).json({ error: 'API token not found' });
+    }
+
+    res.json({ message: 'API token revoked' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
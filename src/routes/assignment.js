@@ -0,0 +1,202 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import AssignmentRule, { ASSIGNMENT_FIELDS, ASSIGNMENT_STRATEGIES } from '../models/AssignmentRule.js';
+import Lead from '../models/Lead.js';
+import User from '../models/User.js';
+import { protect, requireLogin } from '../middleware/auth.js';
+import { authorize } from '../middleware/permissions.js';
+import { createLeadAssigner } from '../utils/assignment.js';
+import { getClosedStatuses } from '../utils/picklists.js';
+
+const router = express.Router();
+
+const MAX_RUN_LEADS = 1000;
+
+// Apply auth middleware to all routes
+router.use(protect);
+router.use(requireLogin);
+
+// Validation middleware
+const validateRule = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Rule name is required')
+    .isLength({ max: 100 })
+    .withMessage('Rule name cannot exceed 100 characters'),
+  body('conditions')
+    .optional()
+    .isArray()
+    .withMessage('conditions must be an array'),
+  body('conditions.*')
+    .custom(condition => {
+      const operators = ASSIGNMENT_FIELDS[condition?.field];
+      if (!operators) {
+        throw new Error(`Condition field must be one of: ${Object.keys(ASSIGNMENT_FIELDS).join(', ')}`);
+      }
+      if (!operators.includes(condition.operator)) {
+        throw new Error(`Operator for ${condition.field} must be one of: ${operators.join(', ')}`);
+      }
+      if (condition.operator !== 'is_empty' && (condition.value === undefined || condition.value === null || condition.value === '')) {
+        throw new Error(`A value is required for ${condition.field} ${condition.operator}`);
+      }
+      if (condition.operator === 'in' && !Array.isArray(condition.value)) {
+        throw new Error('Value must be an array for "in"');
+      }
+      if (condition.operator === 'between' && (isNaN(Number(condition.value)) || isNaN(Number(condition.value2)))) {
+        throw new Error('value and value2 must be numbers for "between"');
+      }
+      return true;
+    }),
+  body('strategy')
+    .optional()
+    .isIn(ASSIGNMENT_STRATEGIES)
+    .withMessage(`Strategy must be one of: ${ASSIGNMENT_STRATEGIES.join(', ')}`),
+  body('assignees')
+    .isArray({ min: 1 })
+    .withMessage('assignees must be a non-empty array of user IDs'),
+  body('assignees.*')
+    .isMongoId()
+    .withMessage('Each assignee must be a valid user ID'),
+  body('priority')
+    .optional()
+    .isInt()
+    .withMessage('Priority must be an integer'),
+  body('active')
+    .optional()
+    .isBoolean()
+    .withMessage('active must be a boolean')
+];
+
+const pickRuleFields = ({ name, conditions = [], strategy, assignees, priority, active }) =>
+  Object.fromEntries(Object.entries({
+    name,
+    conditions: conditions.map(({ field, operator, value, value2 }) => ({ field, operator, value, value2: value2 ?? null })),
+    strategy,
+    assignees: [...new Set(assignees.map(String))],
+    priority,
+    active
+  }).filter(([, value]) => value !== undefined));
+
+const ensureAssigneesExist = async (assignees) => {
+  const found = await User.countDocuments({ _id: { $in: assignees } });
+  if (found !== assignees.length) {
+    throw Object.assign(new Error('Validation failed'), { status: 400, details: ['One or more assignees were not found'] });
+  }
+};
+
+// Get assignment rules in the order they are tried
+router.get('/rules', async (req, res, next) => {
+  try {
+    const rules = await AssignmentRule.find()
+      .sort({ priority: 1, createdAt: 1 })
+      .populate('assignees', 'firstName lastName email')
+      .populate('createdBy', 'firstName lastName email');
+
+    res.json({ rules, fields: ASSIGNMENT_FIELDS, strategies: ASSIGNMENT_STRATEGIES });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create assignment rule
+router.post('/rules', authorize('assignment:manage'), validateRule, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array().map(err => err.msg)
+      });
+    }
+
+    const fields = pickRuleFields(req.body);
+    await ensureAssigneesExist(fields.assignees);
+
+    const rule = await AssignmentRule.create({
+      ...fields,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      message: 'Assignment rule created successfully',
+      rule
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update assignment rule
+router.put('/rules/:id', authorize('assignment:manage'), validateRule, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array().map(err => err.msg)
+      });
+    }
+
+    const rule = await AssignmentRule.findById(req.params.id);
+    if (!rule) {
+      return res.status(404).json({ error: 'Assignment rule not found' });
+    }
+
+    const fields = pickRuleFields(req.body);
+    await ensureAssigneesExist(fields.assignees);
+
+    rule.set(fields);
+    await rule.save();
+
+    res.json({
+      message: 'Assignment rule updated successfully',
+      rule
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete assignment rule. Leads it already assigned keep their owner
+router.delete('/rules/:id', authorize('assignment:manage'), async (req, res, next) => {
+  try {
+    const rule = await AssignmentRule.findByIdAndDelete(req.params.id);
+    if (!rule) {
+      return res.status(404).json({ error: 'Assignment rule not found' });
+    }
+
+    res.json({ message: 'Assignment rule deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Run the rules over open leads that have no owner yet, oldest first
+router.post('/run', authorize('assignment:manage'), async (req, res, next) => {
+  try {
+    const leads = await Lead.find({ assignedTo: null, status: { $nin: await getClosedStatuses() } })
+      .sort({ createdAt: 1 })
+      .limit(MAX_RUN_LEADS);
+
+    const assign = await createLeadAssigner();
+    let assigned = 0;
+    for (const lead of leads) {
+      if (await assign(lead)) {
+        await lead.save();
+        assigned++;
+      }
+    }
+
+    res.json({
+      message: 'Assignment rules applied',
+      checked: leads.length,
+      assigned,
+      unassigned: leads.length - assigned
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
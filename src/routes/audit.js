@@ -0,0 +1,48 @@
+import express from 'express';
+import { validationResult, query } from 'express-validator';
+import { protect } from '../middleware/auth.js';
+import { authorize } from '../middleware/permissions.js';
+import { findAuditLogs, validateAuditQuery } from '../utils/audit.js';
+
+const router = express.Router();
+
+// Apply auth middleware to all routes
+router.use(protect);
+
+// Search the audit log across all entities (admins only)
+router.get('/', authorize('audit:read'), [
+  ...validateAuditQuery,
+  query('actor').optional().isMongoId().withMessage('Invalid actor ID'),
+  query('entity').optional().isIn(['Lead', 'User']).withMessage('Entity must be Lead or User'),
+  query('entityId').optional().isMongoId().withMessage('Invalid entity ID')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array().map(err => err.msg)
+      });
+    }
+
+    const filter = {};
+    if (req.query.actor) filter.actor = req.query.actor;
+    if (req.query.entity) filter.entity = req.query.entity;
+    if (req.query.entityId) filter.entityId = req.query.entityId;
+    if (req.query.action) filter.action = req.query.action;
+    if (req.query.from || req.query.to) {
+      filter.createdAt = {};
+      if (req.query.from) filter.createdAt.$gte = new Date(req.query.from);
+      if (req.query.to) filter.createdAt.$lte = new Date(req.query.to);
+    }
+
+    res.json(await findAuditLogs(filter, {
+      page: parseInt(req.query.page) || 1,
+      limit: parseInt(req.query.limit) || 50
+    }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -1,10 +1,27 @@
 import express from 'express';
+import jwt from 'jsonwebtoken';
 import { body, validationResult } from 'express-validator';
 import User from '../models/User.js';
-import { protect, generateToken } from '../middleware/auth.js';
+import Session from '../models/Session.js';
+import UserToken from '../models/UserToken.js';
+import { protect, requireLogin } from '../middleware/auth.js';
+import {
+  sendInBackground,
+  sendPasswordChangedEmail,
+  sendPasswordResetEmail,
+  sendVerificationEmail
+} from '../utils/accountEmails.js';
+import { clearAuthCookies, createSession, findSessionByRefreshToken, rotateSession, setAuthCookies } from '../utils/sessions.js';
+import { rateLimit } from '../utils/rateLimit.js';
+import apiTokenRoutes from './apiTokens.js';
+import sessionRoutes from './sessions.js';
 
 const router = express.Router();
 
+// Personal API tokens and signed-in sessions
+router.use('/tokens', apiTokenRoutes);
+router.use('/sessions', sessionRoutes);
+
 // Validation middleware
 const validateRegistration = [
   body('firstName')
@@ -28,6 +45,54 @@ const validateRegistration = [
     .withMessage('Password must be at least 6 characters')
 ];
 
+const MINUTE_MS = 60 * 1000;
+
+// Throttle credential endpoints per IP (many accounts from one place) and per
+// account (one account from many places). Account keys use the email after
+// validation has normalized it.
+const accountKey = req => (typeof req.body?.email === 'string' ? req.body.email : null);
+
+const loginIpLimiter = rateLimit({
+  windowMs: 15 * MINUTE_MS,
+  max: 30,
+  prefix: 'login-ip',
+  message: 'Too many login attempts, please try again later.'
+});
+const loginAccountLimiter = rateLimit({
+  windowMs: 15 * MINUTE_MS,
+  max: 10,
+  prefix: 'login-account',
+  keyGenerator: accountKey,
+  message: 'Too many login attempts, please try again later.'
+});
+const registerIpLimiter = rateLimit({
+  windowMs: 60 * MINUTE_MS,
+  max: 10,
+  prefix: 'register-ip',
+  message: 'Too many accounts created from this address, please try again later.'
+});
+const registerAccountLimiter = rateLimit({
+  windowMs: 60 * MINUTE_MS,
+  max: 5,
+  prefix: 'register-account',
+  keyGenerator: accountKey
+});
+const passwordResetIpLimiter = rateLimit({
+  windowMs: 60 * MINUTE_MS,
+  max: 20,
+  prefix: 'reset-ip'
+});
+const passwordResetAccountLimiter = rateLimit({
+  windowMs: 60 * MINUTE_MS,
+  max: 3,
+  prefix: 'reset-account',
+  keyGenerator: accountKey
+});
+
+const validateNewPassword = (field) => body(field)
+  .isLength({ min: 6 })
+  .withMessage('Password must be at least 6 characters');
+
 const validateLogin = [
   body('email')
     .isEmail()
@@ -39,7 +104,7 @@ const validateLogin = [
 ];
 
 // Register user
-router.post('/register', validateRegistration, async (req, res, next) => {
+router.post('/register', registerIpLimiter, validateRegistration, registerAccountLimiter, async (req, res, next) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -65,15 +130,9 @@ router.post('/register', validateRegistration, async (req, res, next) => {
 
     await user.save();
 
-    const token = generateToken(user._id);
-    
-    res.cookie('token', token, {
-      httpOnly: true,
-      secure: true,
-      sameSite: 'none',
-      maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
-      path: '/'
-    });
+    sendInBackground(sendVerificationEmail, user);
+
+    setAuthCookies(res, await createSession(user, req));
 
     res.status(201).json({
       message: 'User registered successfully',
@@ -85,7 +144,7 @@ router.post('/register', validateRegistration, async (req, res, next) => {
 });
 
 // Login user
-router.post('/login', validateLogin, async (req, res, next) => {
+router.post('/login', loginIpLimiter, validateLogin, loginAccountLimiter, async (req, res, next) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -102,20 +161,23 @@ router.post('/login', validateLogin, async (req, res, next) => {
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
+    // Same answer as an unknown email, so a lock doesn't reveal that the
+    // account exists
+    if (user.isLocked()) {
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
+      await user.registerFailedLogin();
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
-    const token = generateToken(user._id);
-    
-    res.cookie('token', token, {
-      httpOnly: true,
-      secure: true,
-      sameSite: 'none',
-      maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
-      path: '/'
-    });
+    if (user.failedLoginAttempts || user.lockedUntil) {
+      await user.resetFailedLogins();
+    }
+
+    setAuthCookies(res, await createSession(user, req));
 
     res.json({
       message: 'Login successful',
@@ -126,16 +188,54 @@ router.post('/login', validateLogin, async (req, res, next) => {
   }
 });
 
-// Logout user
-router.post('/logout', (req, res) => {
-  res.clearCookie('token', {
-    httpOnly: true,
-    secure: true,
-    sameSite: 'none',
-    path: '/'
-  });
-  
-  res.json({ message: 'Logout successful' });
+// Exchange a refresh token for a new access token. The refresh token is
+// rotated on every use; clients without cookies may send it in the body.
+router.post('/refresh', async (req, res, next) => {
+  try {
+    const refreshToken = req.cookies.refreshToken || req.body?.refreshToken;
+    if (!refreshToken) {
+      return res.status(401).json({ error: 'No refresh token provided.' });
+    }
+
+    const rotated = await rotateSession(refreshToken, req);
+    if (!rotated) {
+      clearAuthCookies(res);
+      return res.status(401).json({ error: 'Session expired or revoked.' });
+    }
+
+    setAuthCookies(res, rotated);
+
+    res.json({ message: 'Token refreshed' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Logout user, ending the session on the server as well
+router.post('/logout', async (req, res, next) => {
+  try {
+    let sessionId = null;
+    if (req.cookies.refreshToken) {
+      sessionId = (await findSessionByRefreshToken(req.cookies.refreshToken))?._id;
+    }
+    if (!sessionId && req.cookies.token) {
+      try {
+        sessionId = jwt.verify(req.cookies.token, process.env.JWT_SECRET, { ignoreExpiration: true }).sid;
+      } catch {
+        // Not a token we issued; nothing to revoke
+      }
+    }
+
+    if (sessionId) {
+      await Session.updateOne(Session.activeFilter({ _id: sessionId }), { revokedAt: new Date() });
+    }
+
+    clearAuthCookies(res);
+
+    res.json({ message: 'Logout successful' });
+  } catch (error) {
+    next(error);
+  }
 });
 
 // Get current user
@@ -143,4 +243,153 @@ router.get('/me', protect, async (req, res) => {
   res.json({ user: req.user });
 });
 
+// Change password. Other sessions are signed out, this one stays
+router.post('/change-password', protect, requireLogin, [
+  body('currentPassword')
+    .notEmpty()
+    .withMessage('Current password is required'),
+  validateNewPassword('newPassword')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array().map(err => err.msg)
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+    if (!(await user.comparePassword(req.body.currentPassword))) {
+      return res.status(400).json({ error: 'Current password is incorrect' });
+    }
+
+    user.password = req.body.newPassword;
+    await user.save();
+
+    sendInBackground(sendPasswordChangedEmail, user);
+
+    res.json({ message: 'Password changed successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Request a password reset link. The answer is the same whether or not the
+// email is registered, so this can't be used to find accounts
+router.post('/forgot-password', passwordResetIpLimiter, [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please enter a valid email')
+], passwordResetAccountLimiter, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array().map(err => err.msg)
+      });
+    }
+
+    const user = await User.findOne({ email: req.body.email });
+    if (user) {
+      sendInBackground(sendPasswordResetEmail, user);
+    }
+
+    res.json({ message: 'If an account exists for this email, a reset link has been sent' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Set a new password with a reset token. Every session is signed out
+router.post('/reset-password', [
+  body('token')
+    .notEmpty()
+    .withMessage('Reset token is required'),
+  validateNewPassword('password')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array().map(err => err.msg)
+      });
+    }
+
+    const resetToken = await UserToken.consume(req.body.token, 'reset_password');
+    const user = resetToken && await User.findById(resetToken.user);
+    if (!user) {
+      return res.status(400).json({ error: 'Reset link is invalid or has expired' });
+    }
+
+    user.password = req.body.password;
+    user.failedLoginAttempts = 0;
+    user.lockedUntil = null;
+    // Getting the reset email proves the address is theirs
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+
+    clearAuthCookies(res);
+    sendInBackground(sendPasswordChangedEmail, user);
+
+    res.json({ message: 'Password reset successfully. Please log in with your new password' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Confirm an email address with the token from the verification email
+router.post('/verify-email', [
+  body('token')
+    .notEmpty()
+    .withMessage('Verification token is required')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array().map(err => err.msg)
+      });
+    }
+
+    const verifyToken = await UserToken.consume(req.body.token, 'verify_email');
+    const user = verifyToken && await User.findById(verifyToken.user);
+    if (!user) {
+      return res.status(400).json({ error: 'Verification link is invalid or has expired' });
+    }
+
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+      await user.save();
+    }
+
+    res.json({ message: 'Email verified successfully', user });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Send a new verification email
+router.post('/verify-email/resend', protect, requireLogin, async (req, res, next) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({ error: 'Email is already verified' });
+    }
+
+    await sendVerificationEmail(req.user);
+
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    next(error);
+  }
+});
+
 export default router;
\ No newline at end of file
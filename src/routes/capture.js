@@ -0,0 +1,165 @@
+import express from 'express';
+import Lead from '../models/Lead.js';
+import Activity from '../models/Activity.js';
+import FormKey, { normalizeOrigin } from '../models/FormKey.js';
+import { validateLeadData } from '../middleware/validateLead.js';
+import { rateLimit } from '../utils/rateLimit.js';
+import { scoreLead } from '../utils/scoring.js';
+import { autoAssignLead } from '../utils/assignment.js';
+import { changedLeadFields, emitLeadEvent } from '../utils/webhooks.js';
+
+// Public endpoint for website forms, authenticated by a form key instead of a
+// login. Mounted ahead of the app-wide CORS config, which only allows the
+// frontend; origins are checked per key here.
+const router = express.Router();
+
+// Plain HTML forms post urlencoded bodies
+router.use(express.urlencoded({ extended: false, limit: '20kb' }));
+
+// The only lead fields a form may send; everything else comes from the key
+const CAPTURE_FIELDS = ['firstName', 'lastName', 'email', 'phone', 'company', 'city', 'state'];
+
+const SUBMITTED_RESPONSE = { message: 'Submission received' };
+
+// Catch floods before they reach the database, whichever key they use
+const ipLimiter = rateLimit({ windowMs: 60 * 1000, max: 60, prefix: 'capture-ip' });
+
+const formLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: req => req.formKey.rateLimit,
+  prefix: 'capture-form',
+  keyGenerator: req => `${req.formKey._id}:${req.ip}`
+});
+
+const loadFormKey = async (req, res, next) => {
+  try {
+    const formKey = await FormKey.findOne({ key: req.params.key, active: true });
+    if (!formKey) {
+      return res.status(404).json({ error: 'Form not found' });
+    }
+    req.formKey = formKey;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Browsers send Origin on cross-site posts; fall back to Referer for older ones
+const checkOrigin = (req, res, next) => {
+  const origin = normalizeOrigin(req.get('origin') || req.get('referer'));
+
+  if (!req.formKey.allowsOrigin(origin)) {
+    return res.status(403).json({ error: 'Submissions from this origin are not allowed' });
+  }
+
+  if (req.get('origin')) {
+    res.set({
+      'Access-Control-Allow-Origin': req.get('origin'),
+      'Access-Control-Allow-Methods': 'POST, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type',
+      Vary: 'Origin'
+    });
+  }
+  next();
+};
+
+// Bots fill in the hidden honeypot field and tend to put links in names
+const isSpam = (formKey, submission) => {
+  if (submission[formKey.honeypotField]) return true;
+  return ['firstName', 'lastName'].some(field => /https?:\/\/|www\./i.test(submission[field] || ''));
+};
+
+// CORS preflight for JSON submissions
+router.options('/:key', ipLimiter, loadFormKey, checkOrigin, (req, res) => {
+  res.sendStatus(204);
+});
+
+const isBlank = value => value === undefined || value === null || value === '';
+
+// Submit a lead. A resubmission with a known email fills in that lead's empty
+// fields; values that differ are noted on the lead rather than applied.
+router.post('/:key', ipLimiter, loadFormKey, checkOrigin, formLimiter, async (req, res, next) => {
+  try {
+    const { formKey } = req;
+    const submission = req.body || {};
+
+    // Answer spam as if it worked so bots don't learn to get around the check
+    if (isSpam(formKey, submission)) {
+      await FormKey.updateOne({ _id: formKey._id }, { $inc: { spamCount: 1 } });
+      return res.json(SUBMITTED_RESPONSE);
+    }
+
+    const fields = Object.fromEntries(CAPTURE_FIELDS
+      .filter(field => typeof submission[field] === 'string')
+      .map(field => [field, submission[field]]));
+
+    const { data, errors } = await validateLeadData({
+      ...fields,
+      source: formKey.source,
+      leadValue: formKey.leadValue
+    });
+    if (errors.length) {
+      return res.status(400).json({ error: 'Validation failed', details: errors });
+    }
+
+    const contactFields = Object.fromEntries(CAPTURE_FIELDS.map(field => [field, data[field]]));
+    const existing = await Lead.findOne({ email: contactFields.email });
+
+    if (existing) {
+      // Anyone can submit any email, so the form never overwrites what is
+      // already on the lead
+      const differences = [];
+      Object.entries(contactFields)
+        .filter(([, value]) => !isBlank(value))
+        .forEach(([field, value]) => {
+          const current = existing.get(field);
+          if (isBlank(current)) {
+            existing.set(field, value);
+          } else if (String(current) !== String(value)) {
+            differences.push(`${field}: ${value}`);
+          }
+        });
+
+      const changedFields = changedLeadFields(existing);
+      if (changedFields.length) {
+        await scoreLead(existing);
+        await existing.save();
+        emitLeadEvent('lead.updated', existing, { changedFields });
+      }
+      if (differences.length) {
+        await Activity.log({
+          lead: existing._id,
+          type: 'note',
+          subject: `Form "${formKey.name}" submitted different details`,
+          body: differences.join('\n'),
+          createdBy: formKey.owner
+        });
+      }
+    } else {
+      const lead = new Lead({
+        ...contactFields,
+        source: formKey.source,
+        leadValue: formKey.leadValue,
+        score: 0,
+        createdBy: formKey.owner
+      });
+      await autoAssignLead(lead);
+      await scoreLead(lead);
+      await lead.save();
+      emitLeadEvent('lead.created', lead);
+    }
+
+    await FormKey.updateOne(
+      { _id: formKey._id },
+      { $inc: { submissionCount: 1 }, $set: { lastSubmissionAt: new Date() } }
+    );
+
+    // Same answer for new and known emails, so the form can't be used to
+    // find out who is already a lead
+    res.json(SUBMITTED_RESPONSE);
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,172 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import CustomField, { CUSTOM_FIELD_TYPES, OPTION_TYPES } from '../models/CustomField.js';
+import Lead from '../models/Lead.js';
+import { protect, requireLogin } from '../middleware/auth.js';
+import { authorize } from '../middleware/permissions.js';
+
+const router = express.Router();
+
+// Apply auth middleware to all routes
+router.use(protect);
+router.use(requireLogin);
+
+// Validation middleware. `key` and `type` can only be set on create.
+const validateCustomField = ({ partial = false } = {}) => [
+  ...(partial
+    ? [
+      body('key').not().exists().withMessage('A field key cannot be changed'),
+      body('type').not().exists().withMessage('A field type cannot be changed')
+    ]
+    : [
+      body('key')
+        .trim()
+        .matches(/^[a-z][a-z0-9_]{0,39}$/)
+        .withMessage('Key must start with a letter and contain only lowercase letters, digits and underscores (max 40)'),
+      body('type')
+        .isIn(CUSTOM_FIELD_TYPES)
+        .withMessage(`Type must be one of: ${CUSTOM_FIELD_TYPES.join(', ')}`)
+    ]),
+  (partial ? body('label').optional() : body('label'))
+    .trim()
+    .notEmpty()
+    .withMessage('Label is required')
+    .isLength({ max: 100 })
+    .withMessage('Label cannot exceed 100 characters'),
+  body('options')
+    .optional()
+    .isArray({ max: 100 })
+    .withMessage('options must be an array of at most 100 values'),
+  body('options.*')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Options must be non-empty text')
+    .isLength({ max: 100 })
+    .withMessage('Options cannot exceed 100 characters'),
+  body('required')
+    .optional()
+    .isBoolean()
+    .withMessage('required must be a boolean'),
+  body('active')
+    .optional()
+    .isBoolean()
+    .withMessage('active must be a boolean'),
+  body('order')
+    .optional()
+    .isInt()
+    .withMessage('Order must be an integer')
+];
+
+const pickCustomFieldFields = ({ key, label, type, options, required, active, order }) =>
+  Object.fromEntries(Object.entries({
+    key,
+    label,
+    type,
+    options: options && [...new Set(options)],
+    required,
+    active,
+    order
+  }).filter(([, value]) => value !== undefined));
+
+// Get custom field definitions in display order. Everyone may read them so
+// lead forms and filters can be built from them.
+router.get('/', async (req, res, next) => {
+  try {
+    const filter = req.query.active === 'true' ? { active: true } : {};
+    const fields = await CustomField.find(filter)
+      .sort({ order: 1, createdAt: 1 })
+      .populate('createdBy', 'firstName lastName email');
+
+    res.json({ fields, types: CUSTOM_FIELD_TYPES });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create custom field
+router.post('/', authorize('customFields:manage'), validateCustomField(), async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array().map(err => err.msg)
+      });
+    }
+
+    const field = await CustomField.create({
+      ...pickCustomFieldFields(req.body),
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      message: 'Custom field created successfully',
+      field
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update custom field. Values stored on leads are left alone, so removing an
+// option only stops it from being chosen again.
+router.put('/:id', authorize('customFields:manage'), validateCustomField({ partial: true }), async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array().map(err => err.msg)
+      });
+    }
+
+    const field = await CustomField.findById(req.params.id);
+    if (!field) {
+      return res.status(404).json({ error: 'Custom field not found' });
+    }
+
+    const updates = pickCustomFieldFields(req.body);
+    if (updates.options && !OPTION_TYPES.includes(field.type)) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: ['Only select fields have options']
+      });
+    }
+
+    field.set(updates);
+    await field.save();
+
+    res.json({
+      message: 'Custom field updated successfully',
+      field
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete custom field and its values on every lead, trashed ones included.
+// Deactivate it instead to keep the data.
+router.delete('/:id', authorize('customFields:manage'), async (req, res, next) => {
+  try {
+    const field = await CustomField.findByIdAndDelete(req.params.id);
+    if (!field) {
+      return res.status(404).json({ error: 'Custom field not found' });
+    }
+
+    const { modifiedCount } = await Lead.updateMany(
+      { [`customFields.${field.key}`]: { $exists: true } },
+      { $unset: { [`customFields.${field.key}`]: '' } }
+    ).setOptions({ withDeleted: true });
+
+    res.json({
+      message: 'Custom field deleted successfully',
+      leadsUpdated: modifiedCount
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,181 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import FormKey, { normalizeOrigin } from '../models/FormKey.js';
+import User from '../models/User.js';
+import { protect, requireLogin } from '../middleware/auth.js';
+import { authorize } from '../middleware/permissions.js';
+import { findPicklistEntry, getPicklist } from '../utils/picklists.js';
+
+const router = express.Router();
+
+// Apply auth middleware to all routes
+router.use(protect);
+router.use(requireLogin);
+router.use(authorize('forms:manage'));
+
+// Validation middleware
+const validateFormKey = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Form name is required')
+    .isLength({ max: 100 })
+    .withMessage('Form name cannot exceed 100 characters'),
+  body('owner')
+    .optional()
+    .isMongoId()
+    .withMessage('Owner must be a valid user ID'),
+  body('allowedOrigins')
+    .optional()
+    .isArray()
+    .withMessage('allowedOrigins must be an array'),
+  body('allowedOrigins.*')
+    .custom(origin => {
+      if (!/^https?:\/\//.test(origin) || !normalizeOrigin(origin)) {
+        throw new Error(`Invalid origin: ${origin}`);
+      }
+      return true;
+    }),
+  body('source')
+    .optional()
+    .custom(async (source) => {
+      const entry = findPicklistEntry(await getPicklist('source'), source);
+      if (!entry?.active) throw new Error('Invalid source');
+      return true;
+    }),
+  body('leadValue')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Lead value must be a positive number'),
+  body('rateLimit')
+    .optional()
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('Rate limit must be between 1 and 1000 submissions per minute'),
+  body('honeypotField')
+    .optional()
+    .matches(/^[\w-]{1,50}$/)
+    .withMessage('Honeypot field must be a simple field name'),
+  body('active')
+    .optional()
+    .isBoolean()
+    .withMessage('active must be a boolean')
+];
+
+const pickFormKeyFields = ({ name, owner, allowedOrigins, source, leadValue, rateLimit, honeypotField, active }) => {
+  const fields = { name, owner, source, leadValue, rateLimit, honeypotField, active };
+  if (allowedOrigins) {
+    fields.allowedOrigins = [...new Set(allowedOrigins.map(normalizeOrigin))];
+  }
+  return Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined));
+};
+
+const ensureOwnerExists = async (owner) => {
+  if (owner && !(await User.exists({ _id: owner }))) {
+    throw Object.assign(new Error('Owner not found'), { status: 400 });
+  }
+};
+
+// Get form keys
+router.get('/', async (req, res, next) => {
+  try {
+    const forms = await FormKey.find()
+      .sort({ createdAt: -1 })
+      .populate('owner', 'firstName lastName email');
+
+    res.json({ forms });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get a single form key
+router.get('/:id', async (req, res, next) => {
+  try {
+    const form = await FormKey.findById(req.params.id)
+      .populate('owner', 'firstName lastName email');
+
+    if (!form) {
+      return res.status(404).json({ error: 'Form not found' });
+    }
+
+    res.json({ form });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create form key. Captured leads are owned by `owner` (the admin by default)
+router.post('/', validateFormKey, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array().map(err => err.msg)
+      });
+    }
+
+    const fields = pickFormKeyFields(req.body);
+    await ensureOwnerExists(fields.owner);
+
+    const form = await FormKey.create({
+      owner: req.user._id,
+      ...fields,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      message: 'Form created successfully',
+      form
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update form key
+router.put('/:id', validateFormKey, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array().map(err => err.msg)
+      });
+    }
+
+    const form = await FormKey.findById(req.params.id);
+    if (!form) {
+      return res.status(404).json({ error: 'Form not found' });
+    }
+
+    const fields = pickFormKeyFields(req.body);
+    await ensureOwnerExists(fields.owner);
+
+    form.set(fields);
+    await form.save();
+
+    res.json({
+      message: 'Form updated successfully',
+      form
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete form key. Pages still using it will get 404s
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const form = await FormKey.findByIdAndDelete(req.params.id);
+    if (!form) {
+      return res.status(404).json({ error: 'Form not found' });
+    }
+
+    res.json({ message: 'Form deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
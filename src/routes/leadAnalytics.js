@@ -0,0 +1,302 @@
+import express from 'express';
+import { validationResult, query } from 'express-validator';
+import Lead from '../models/Lead.js';
+import { ASSIGNED_SHORTCUTS, buildLeadQuery, getFilterDefinitions } from '../utils/leadQuery.js';
+import { funnelStages } from '../utils/pipeline.js';
+import { getPicklist, statusesInCategory } from '../utils/picklists.js';
+
+// Mounted under /api/leads/analytics, so `protect` has already run.
+// Every endpoint takes the list route's filters/search plus an optional
+// createdAt range (from/to) and a timezone for date bucketing. Won and lost
+// mean every status in that picklist category.
+const router = express.Router();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const INTERVALS = ['day', 'week', 'month'];
+// Date parts shown in period labels; weeks are labelled by their Monday
+const LABEL_PARTS = {
+  day: { year: 'numeric', month: '2-digit', day: '2-digit' },
+  week: { year: 'numeric', month: '2-digit', day: '2-digit' },
+  month: { year: 'numeric', month: '2-digit' }
+};
+
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const validateAnalyticsQuery = [
+  query('search').optional().trim(),
+  query('searchMode').optional().isIn(['text', 'contains']).withMessage('Search mode must be text or contains'),
+  query('assigned').optional().isIn(ASSIGNED_SHORTCUTS).withMessage('Assigned must be me or unassigned'),
+  query('from').optional().isISO8601().withMessage('from must be a valid date'),
+  query('to').optional().isISO8601().withMessage('to must be a valid date'),
+  query('timezone')
+    .optional()
+    .custom(timezone => isValidTimezone(timezone))
+    .withMessage('timezone must be an IANA time zone such as "Europe/Berlin"')
+];
+
+// Route wrapper: validate, build the match and hand both to the handler
+const analyticsRoute = (extraValidators, handler) => [
+  ...validateAnalyticsQuery,
+  ...extraValidators,
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array().map(err => err.msg)
+        });
+      }
+
+      const conditions = [buildLeadQuery(req.user, {
+        filters: req.query.filters,
+        search: req.query.search,
+        searchMode: req.query.searchMode || 'text',
+        assigned: req.query.assigned,
+        ...(await getFilterDefinitions())
+      })];
+      if (req.query.from || req.query.to) {
+        const createdAt = {};
+        if (req.query.from) createdAt.$gte = new Date(req.query.from);
+        if (req.query.to) createdAt.$lte = new Date(req.query.to);
+        conditions.push({ createdAt });
+      }
+
+      const match = { $and: conditions };
+      const timezone = req.query.timezone || 'UTC';
+      const statuses = await getPicklist('status');
+      const won = statusesInCategory(statuses, 'won');
+      const lost = statusesInCategory(statuses, 'lost');
+
+      res.json({ timezone, ...(await handler({ req, match, timezone, statuses, won, lost })) });
+    } catch (error) {
+      next(error);
+    }
+  }
+];
+
+// Start of the day, ISO week (Monday) or month containing createdAt, in the
+// given timezone. Built from date parts rather than $dateTrunc, which needs
+// MongoDB 5.0.
+const bucketStart = (interval, timezone) => {
+  const date = { date: '$createdAt', timezone };
+  if (interval === 'week') {
+    return {
+      $dateFromParts: { isoWeekYear: { $isoWeekYear: date }, isoWeek: { $isoWeek: date }, isoDayOfWeek: 1, timezone }
+    };
+  }
+  return {
+    $dateFromParts: {
+      year: { $year: date },
+      month: { $month: date },
+      day: interval === 'day' ? { $dayOfMonth: date } : 1,
+      timezone
+    }
+  };
+};
+
+const round = (value, digits = 2) => (value === null || value === undefined ? null : Number(value.toFixed(digits)));
+const rate = (part, whole) => (whole ? round(part / whole, 4) : null);
+
+// Leads created per day, week or month
+router.get('/timeseries', analyticsRoute([
+  query('interval').optional().isIn(INTERVALS).withMessage(`Interval must be one of: ${INTERVALS.join(', ')}`)
+], async ({ req, match, timezone, won }) => {
+  const interval = req.query.interval || 'day';
+  const formatLabel = new Intl.DateTimeFormat('en-CA', { timeZone: timezone, ...LABEL_PARTS[interval] });
+
+  const buckets = await Lead.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: bucketStart(interval, timezone),
+        count: { $sum: 1 },
+        totalValue: { $sum: '$leadValue' },
+        won: { $sum: { $cond: [{ $in: ['$status', won] }, 1, 0] } },
+        qualified: { $sum: { $cond: ['$isQualified', 1, 0] } }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]);
+
+  return {
+    interval,
+    series: buckets.map(bucket => ({
+      period: bucket._id,
+      label: formatLabel.format(bucket._id),
+      count: bucket.count,
+      totalValue: bucket.totalValue,
+      won: bucket.won,
+      qualified: bucket.qualified
+    }))
+  };
+}));
+
+// How many leads reached each funnel stage and the conversion between stages
+router.get('/funnel', analyticsRoute([], async ({ match, statuses, lost }) => {
+  const stageValues = funnelStages(statuses);
+
+  const [depths, current] = await Promise.all([
+    Lead.aggregate([
+      { $match: match },
+      { $project: { stages: { $setUnion: [{ $ifNull: ['$stageHistory.to', []] }, ['$status']] } } },
+      // Every lead starts in the first stage, even one that is only known as lost
+      {
+        $project: {
+          depth: {
+            $max: [0, { $max: { $map: { input: '$stages', as: 'stage', in: { $indexOfArray: [stageValues, '$$stage'] } } } }]
+          }
+        }
+      },
+      { $group: { _id: '$depth', count: { $sum: 1 } } }
+    ]),
+    Lead.aggregate([
+      { $match: match },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ])
+  ]);
+
+  const total = depths.reduce((sum, { count }) => sum + count, 0);
+  const countAtDepth = new Map(depths.map(({ _id, count }) => [_id, count]));
+  const currentByStatus = Object.fromEntries(current.map(({ _id, count }) => [_id, count]));
+
+  const labels = new Map(statuses.map(status => [status.value, status.label]));
+  const lostCount = lost.reduce((sum, status) => sum + (currentByStatus[status] || 0), 0);
+
+  let previous = null;
+  const stages = stageValues.map((stage, index) => {
+    const reached = [...countAtDepth].filter(([depth]) => depth >= index).reduce((sum, [, count]) => sum + count, 0);
+    const entry = {
+      stage,
+      label: labels.get(stage),
+      reached,
+      current: currentByStatus[stage] || 0,
+      conversionFromPrevious: previous === null ? null : rate(reached, previous),
+      conversionFromStart: rate(reached, total)
+    };
+    previous = reached;
+    return entry;
+  });
+
+  return {
+    totalLeads: total,
+    stages,
+    lost: lostCount,
+    lostRate: rate(lostCount, total)
+  };
+}));
+
+// Won and lost counts and value per source
+router.get('/sources', analyticsRoute([], async ({ match, won, lost }) => {
+  const sources = await Lead.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: '$source',
+        count: { $sum: 1 },
+        totalValue: { $sum: '$leadValue' },
+        won: { $sum: { $cond: [{ $in: ['$status', won] }, 1, 0] } },
+        wonValue: { $sum: { $cond: [{ $in: ['$status', won] }, '$leadValue', 0] } },
+        lost: { $sum: { $cond: [{ $in: ['$status', lost] }, 1, 0] } },
+        lostValue: { $sum: { $cond: [{ $in: ['$status', lost] }, '$leadValue', 0] } }
+      }
+    },
+    { $sort: { wonValue: -1, count: -1 } }
+  ]);
+
+  return {
+    sources: sources.map(({ _id, ...stats }) => ({
+      source: _id,
+      ...stats,
+      // Share of closed leads that were won
+      winRate: rate(stats.won, stats.won + stats.lost)
+    }))
+  };
+}));
+
+// Average time from creation to won, overall and per source. Leads that
+// were created as won (e.g. imported) have no recorded move and are skipped.
+router.get('/time-to-won', analyticsRoute([], async ({ match, won }) => {
+  const durations = await Lead.aggregate([
+    { $match: { $and: [match, { status: { $in: won } }] } },
+    {
+      $project: {
+        source: 1,
+        wonAt: {
+          $min: {
+            $map: {
+              input: { $filter: { input: '$stageHistory', as: 'change', cond: { $and: [{ $in: ['$$change.to', won] }, { $ne: ['$$change.from', null] }] } } },
+              as: 'change',
+              in: '$$change.changedAt'
+            }
+          }
+        },
+        createdAt: 1
+      }
+    },
+    { $match: { wonAt: { $ne: null } } },
+    { $project: { source: 1, ms: { $subtract: ['$wonAt', '$createdAt'] } } },
+    {
+      $facet: {
+        overall: [{ $group: { _id: null, count: { $sum: 1 }, avg: { $avg: '$ms' }, min: { $min: '$ms' }, max: { $max: '$ms' } } }],
+        bySource: [
+          { $group: { _id: '$source', count: { $sum: 1 }, avg: { $avg: '$ms' } } },
+          { $sort: { avg: 1 } }
+        ]
+      }
+    }
+  ]);
+
+  const [{ overall: [overall], bySource }] = durations;
+  const toDays = ms => round(ms / DAY_MS);
+
+  return {
+    wonLeads: overall?.count || 0,
+    averageDays: overall ? toDays(overall.avg) : null,
+    minDays: overall ? toDays(overall.min) : null,
+    maxDays: overall ? toDays(overall.max) : null,
+    bySource: bySource.map(({ _id, count, avg }) => ({ source: _id, wonLeads: count, averageDays: toDays(avg) }))
+  };
+}));
+
+// Per-user breakdown by the user who created the leads
+router.get('/users', analyticsRoute([], async ({ match, won, lost }) => {
+  const users = await Lead.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: '$createdBy',
+        count: { $sum: 1 },
+        totalValue: { $sum: '$leadValue' },
+        qualified: { $sum: { $cond: ['$isQualified', 1, 0] } },
+        won: { $sum: { $cond: [{ $in: ['$status', won] }, 1, 0] } },
+        wonValue: { $sum: { $cond: [{ $in: ['$status', won] }, '$leadValue', 0] } },
+        lost: { $sum: { $cond: [{ $in: ['$status', lost] }, 1, 0] } },
+        avgScore: { $avg: '$score' }
+      }
+    },
+    { $sort: { count: -1 } },
+    { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'user' } },
+    { $unwind: { path: '$user', preserveNullAndEmptyArrays: true } }
+  ]);
+
+  return {
+    users: users.map(({ _id, user, avgScore, ...stats }) => ({
+      user: user
+        ? { _id: user._id, firstName: user.firstName, lastName: user.lastName, email: user.email }
+        : { _id, firstName: null, lastName: null, email: null },
+      ...stats,
+      avgScore: round(avgScore),
+      winRate: rate(stats.won, stats.won + stats.lost)
+    }))
+  };
+}));
+
+export default router;
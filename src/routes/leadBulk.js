@@ -0,0 +1,255 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { body, validationResult } from 'express-validator';
+import Lead from '../models/Lead.js';
+import User from '../models/User.js';
+import { hasPermission, scopeLeadQuery } from '../middleware/permissions.js';
+import { buildFilterQuery } from '../utils/filterQuery.js';
+import { getFilterDefinitions } from '../utils/leadQuery.js';
+import { canTransition, isQualifiedStatus, qualifyingStatus, transitionError } from '../utils/pipeline.js';
+import { activeValues, getPicklist } from '../utils/picklists.js';
+import { getActiveScoringRules, recomputeScores } from '../utils/scoring.js';
+import { assignmentHistoryEntry } from '../utils/assignment.js';
+import { emitLeadEvent } from '../utils/webhooks.js';
+
+// Mounted under /api/leads/bulk, so `protect` has already run
+const router = express.Router();
+
+const MAX_BULK_IDS = 1000;
+
+// Lead fields a bulk action can change, compared before and after for webhooks
+const BULK_TRACKED_FIELDS = ['status', 'isQualified', 'assignedTo', 'score'];
+
+// Each action declares the permission it needs on top of lead visibility,
+// how its value is validated and the update it applies
+const BULK_ACTIONS = {
+  setStatus: {
+    validate: async value => activeValues(await getPicklist('status')).includes(value) || 'Invalid status',
+    targetStatus: value => value
+  },
+  setScore: {
+    validate: value => (/^\d+$/.test(String(value)) && Number(value) <= 100) || 'Score must be between 0 and 100',
+    update: value => ({ score: Number(value) })
+  },
+  // isQualified follows the pipeline, so qualifying a lead means moving it to that stage
+  markQualified: {
+    targetStatus: (value, statuses) => qualifyingStatus(statuses)
+  },
+  reassign: {
+    permission: 'leads:assign',
+    validate: value => value === null || mongoose.isValidObjectId(value) || 'Assignee must be a valid user ID or null',
+    assignee: value => value
+  },
+  delete: {
+    permission: 'leads:delete'
+  }
+};
+
+const validateBulk = [
+  body('action')
+    .isIn(Object.keys(BULK_ACTIONS))
+    .withMessage(`Action must be one of: ${Object.keys(BULK_ACTIONS).join(', ')}`),
+  body('ids')
+    .optional()
+    .isArray({ min: 1, max: MAX_BULK_IDS })
+    .withMessage(`ids must be an array of 1 to ${MAX_BULK_IDS} lead IDs`),
+  body('filters')
+    .optional()
+    .isObject()
+    .withMessage('filters must be an object'),
+  body().custom(({ ids, filters }) => {
+    if ((ids === undefined) === (filters === undefined)) {
+      throw new Error('Provide either ids or filters, but not both');
+    }
+    return true;
+  }),
+  body('value').custom(async (value, { req }) => {
+    const action = BULK_ACTIONS[req.body.action];
+    if (!action?.validate) return true;
+    const result = await action.validate(value);
+    if (result !== true) throw new Error(result);
+    return true;
+  })
+];
+
+// Move leads through the pipeline one source stage at a time so every lead
+// gets a correct stage history entry. Illegal moves are reported as failures.
+const moveLeadsToStatus = async (leads, to, user, statuses, failures) => {
+  const byStatus = {};
+  leads.forEach(lead => {
+    (byStatus[lead.status] = byStatus[lead.status] || []).push(lead._id);
+  });
+
+  let modified = 0;
+  for (const [from, leadIds] of Object.entries(byStatus)) {
+    if (from === to) continue;
+
+    if (!canTransition(from, to, statuses)) {
+      const error = transitionError(from, to, statuses);
+      leadIds.forEach(id => failures.push({ id: String(id), error }));
+      continue;
+    }
+
+    const result = await Lead.updateMany(
+      { _id: { $in: leadIds }, status: from },
+      {
+        $set: { status: to, isQualified: isQualifiedStatus(to, statuses) },
+        $push: { stageHistory: { from, to, changedBy: user._id, changedAt: new Date() } }
+      }
+    );
+    modified += result.modifiedCount;
+  }
+
+  return modified;
+};
+
+// Reassign leads one current owner at a time so each lead's assignment
+// history records who it came from
+const reassignLeads = async (leads, to, user) => {
+  const byAssignee = new Map();
+  leads
+    .filter(lead => String(lead.assignedTo ?? null) !== String(to ?? null))
+    .forEach(lead => {
+      const key = String(lead.assignedTo ?? null);
+      if (!byAssignee.has(key)) byAssignee.set(key, { from: lead.assignedTo ?? null, ids: [] });
+      byAssignee.get(key).ids.push(lead._id);
+    });
+
+  let modified = 0;
+  for (const { from, ids } of byAssignee.values()) {
+    const result = await Lead.updateMany(
+      { _id: { $in: ids }, assignedTo: from },
+      {
+        $set: { assignedTo: to },
+        $push: { assignmentHistory: assignmentHistoryEntry(from, to, user) }
+      }
+    );
+    modified += result.modifiedCount;
+  }
+
+  return modified;
+};
+
+// updateMany bypasses the per-lead save path, so webhook events are raised
+// here by comparing each matched lead with its state after the action
+const emitBulkEvents = async (before, ids) => {
+  const previous = new Map(before.map(lead => [String(lead._id), lead]));
+  const leads = await Lead.find({ _id: { $in: ids } });
+
+  leads.forEach(lead => {
+    const old = previous.get(String(lead._id));
+    const changedFields = BULK_TRACKED_FIELDS
+      .filter(field => String(old[field] ?? null) !== String(lead[field] ?? null));
+    if (changedFields.length) {
+      emitLeadEvent('lead.updated', lead, { changedFields });
+    }
+    if (lead.status !== old.status) {
+      emitLeadEvent('lead.status_changed', lead, { from: old.status, to: lead.status });
+    }
+  });
+};
+
+// Apply one action to many leads, selected by ID list or filter
+router.post('/', validateBulk, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array().map(err => err.msg)
+      });
+    }
+
+    const { action: actionName, ids, filters, value } = req.body;
+    const action = BULK_ACTIONS[actionName];
+
+    if (action.permission && !hasPermission(req.user, action.permission)) {
+      return res.status(403).json({ error: 'You do not have permission to perform this action' });
+    }
+
+    if (actionName === 'setScore' && (await getActiveScoringRules()).length) {
+      return res.status(400).json({ error: 'Scores are computed by scoring rules and cannot be set manually' });
+    }
+
+    if (actionName === 'reassign' && value !== null && !(await User.exists({ _id: value }))) {
+      return res.status(400).json({ error: 'Validation failed', details: ['Assignee not found'] });
+    }
+
+    const failures = [];
+    const requestedIds = ids ? [...new Set(ids.map(String))] : [];
+    let selection;
+
+    if (ids) {
+      const validIds = requestedIds.filter(id => {
+        if (mongoose.isValidObjectId(id)) return true;
+        failures.push({ id, error: 'Invalid ID format' });
+        return false;
+      });
+      selection = { _id: { $in: validIds } };
+    } else {
+      const filterQuery = buildFilterQuery(filters, { user: req.user, ...(await getFilterDefinitions()) });
+      if (!Object.keys(filterQuery).length) {
+        return res.status(400).json({ error: 'Filters must contain at least one valid condition' });
+      }
+      selection = filterQuery;
+    }
+
+    const permission = actionName === 'delete' ? 'leads:delete' : 'leads:update:any';
+    const matchedLeads = await Lead.find(scopeLeadQuery(req.user, selection, permission), { _id: 1, status: 1, isQualified: 1, assignedTo: 1, score: 1 });
+    const matchedIds = matchedLeads.map(lead => lead._id);
+
+    if (ids) {
+      const found = new Set(matchedIds.map(String));
+      requestedIds
+        .filter(id => mongoose.isValidObjectId(id) && !found.has(id))
+        .forEach(id => failures.push({ id, error: 'Lead not found' }));
+    }
+
+    let modified = 0;
+    if (matchedIds.length) {
+      if (actionName === 'delete') {
+        const result = await Lead.updateMany(
+          { _id: { $in: matchedIds } },
+          { deletedAt: new Date(), deletedBy: req.user._id }
+        );
+        modified = result.modifiedCount;
+
+        const deleted = await Lead.find({ _id: { $in: matchedIds }, deletedAt: { $ne: null } });
+        deleted.forEach(lead => emitLeadEvent('lead.deleted', lead));
+      } else if (action.assignee) {
+        modified = await reassignLeads(matchedLeads, action.assignee(value), req.user);
+      } else if (action.targetStatus) {
+        const statuses = await getPicklist('status');
+        const to = action.targetStatus(value, statuses);
+        if (!to) {
+          return res.status(400).json({ error: 'No active status counts as qualified' });
+        }
+        modified = await moveLeadsToStatus(matchedLeads, to, req.user, statuses, failures);
+        await recomputeScores({ _id: { $in: matchedIds } });
+      } else {
+        const result = await Lead.updateMany(
+          { _id: { $in: matchedIds } },
+          action.update(value),
+          { runValidators: true }
+        );
+        modified = result.modifiedCount;
+      }
+
+      if (actionName !== 'delete' && modified) {
+        await emitBulkEvents(matchedLeads, matchedIds);
+      }
+    }
+
+    res.json({
+      message: 'Bulk action completed',
+      action: actionName,
+      matched: matchedIds.length,
+      modified,
+      failures
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,282 @@
+import express from 'express';
+import { body, validationResult, query } from 'express-validator';
+import Lead from '../models/Lead.js';
+import Activity from '../models/Activity.js';
+import Task from '../models/Task.js';
+import { authorize, scopeLeadQuery } from '../middleware/permissions.js';
+import { DEFAULT_DUPLICATE_THRESHOLD, buildDedupeKeys, scoreDuplicatePair } from '../utils/duplicates.js';
+import { scoreLead } from '../utils/scoring.js';
+import { changeStatus, transitionError } from '../utils/pipeline.js';
+import { assignLead } from '../utils/assignment.js';
+import { checkPicklistChoices, getPicklist } from '../utils/picklists.js';
+import { changedLeadFields, emitLeadEvent } from '../utils/webhooks.js';
+
+// Mounted on the leads router, so `protect` has already run
+const router = express.Router();
+
+const DEDUPE_KEYS = ['lastName', 'company', 'phone', 'emailDomain'];
+const MAX_BLOCK_SIZE = 50; // larger groups (e.g. a huge company) are too generic to compare pairwise
+
+// Fields the caller may pick a winner for when merging
+const MERGEABLE_FIELDS = [
+  'firstName', 'lastName', 'email', 'phone', 'company', 'city', 'state',
+  'source', 'status', 'leadValue', 'assignedTo'
+];
+
+const LEAD_SUMMARY_FIELDS = 'firstName lastName email phone company city state status createdAt';
+
+const validateDuplicateQuery = [
+  query('threshold').optional().isFloat({ min: 0, max: 1 }).withMessage('Threshold must be between 0 and 1'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+];
+
+const summarize = (lead) => ({
+  _id: lead._id,
+  firstName: lead.firstName,
+  lastName: lead.lastName,
+  email: lead.email,
+  phone: lead.phone,
+  company: lead.company,
+  city: lead.city,
+  state: lead.state,
+  status: lead.status,
+  createdAt: lead.createdAt
+});
+
+// Leads sharing at least one blocking key with the given lead
+const findCandidates = (lead, user) => {
+  const keys = buildDedupeKeys(lead);
+  const conditions = DEDUPE_KEYS
+    .filter(key => keys[key])
+    .map(key => ({ [`dedupeKeys.${key}`]: keys[key] }));
+
+  if (!conditions.length) return [];
+
+  return Lead.find(
+    scopeLeadQuery(user, { _id: { $ne: lead._id }, $or: conditions }),
+    LEAD_SUMMARY_FIELDS
+  ).limit(500).lean();
+};
+
+// Likely duplicates across every lead the user can see
+router.get('/duplicates', validateDuplicateQuery, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array().map(err => err.msg)
+      });
+    }
+
+    const threshold = req.query.threshold !== undefined ? parseFloat(req.query.threshold) : DEFAULT_DUPLICATE_THRESHOLD;
+    const limit = parseInt(req.query.limit) || 50;
+
+    // Group leads by each blocking key and only compare within groups
+    const scope = scopeLeadQuery(req.user);
+    const blocks = (await Promise.all(DEDUPE_KEYS.map(key => Lead.aggregate([
+      { $match: { ...scope, [`dedupeKeys.${key}`]: { $ne: null } } },
+      { $group: { _id: `$dedupeKeys.${key}`, ids: { $push: '$_id' }, count: { $sum: 1 } } },
+      { $match: { count: { $gt: 1, $lte: MAX_BLOCK_SIZE } } }
+    ])))).flat();
+
+    const pairs = new Map();
+    blocks.forEach(({ ids }) => {
+      const sorted = ids.map(String).sort();
+      for (let i = 0; i < sorted.length; i++) {
+        for (let j = i + 1; j < sorted.length; j++) {
+          pairs.set(`${sorted[i]}:${sorted[j]}`, [sorted[i], sorted[j]]);
+        }
+      }
+    });
+
+    const leadIds = [...new Set([...pairs.values()].flat())];
+    const leads = await Lead.find({ _id: { $in: leadIds } }, LEAD_SUMMARY_FIELDS).lean();
+    const byId = new Map(leads.map(lead => [String(lead._id), lead]));
+
+    const duplicates = [...pairs.values()]
+      .map(([a, b]) => ({ a: byId.get(a), b: byId.get(b) }))
+      .filter(({ a, b }) => a && b)
+      .map(({ a, b }) => ({ leads: [summarize(a), summarize(b)], ...scoreDuplicatePair(a, b) }))
+      .filter(pair => pair.score >= threshold)
+      .sort((x, y) => y.score - x.score)
+      .slice(0, limit);
+
+    res.json({ duplicates, threshold });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Likely duplicates of one lead
+router.get('/:id/duplicates', validateDuplicateQuery, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array().map(err => err.msg)
+      });
+    }
+
+    const threshold = req.query.threshold !== undefined ? parseFloat(req.query.threshold) : DEFAULT_DUPLICATE_THRESHOLD;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const lead = await Lead.findOne(scopeLeadQuery(req.user, { _id: req.params.id }));
+    if (!lead) {
+      return res.status(404).json({ error: 'Lead not found' });
+    }
+
+    const candidates = await findCandidates(lead, req.user);
+    const duplicates = candidates
+      .map(candidate => ({ lead: summarize(candidate), ...scoreDuplicatePair(lead, candidate) }))
+      .filter(match => match.score >= threshold)
+      .sort((x, y) => y.score - x.score)
+      .slice(0, limit);
+
+    res.json({ lead: summarize(lead), duplicates, threshold });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Move records that belong to the merged lead over to the surviving one
+const reassignRelatedRecords = async (fromId, toId) => {
+  await Activity.updateMany({ lead: fromId }, { $set: { lead: toId } });
+  await Task.updateMany({ lead: fromId }, { $set: { lead: toId } });
+};
+
+// Merge another lead into this one. The lead in the URL survives; `sourceId`
+// is folded into it and moved to the trash. `fields` picks the winner per field
+// ("target" by default, or "source").
+router.post('/:id/merge', authorize('leads:merge'), [
+  body('sourceId').isMongoId().withMessage('sourceId must be a valid lead ID'),
+  body('fields')
+    .optional()
+    .isObject()
+    .withMessage('fields must be an object')
+    .custom((fields) => {
+      const invalid = Object.entries(fields)
+        .filter(([field, winner]) => !MERGEABLE_FIELDS.includes(field) || !['source', 'target'].includes(winner));
+      if (invalid.length) {
+        throw new Error(`Invalid merge fields: ${invalid.map(([field]) => field).join(', ')}. ` +
+          `Fields must be one of ${MERGEABLE_FIELDS.join(', ')} with a value of "source" or "target"`);
+      }
+      return true;
+    })
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array().map(err => err.msg)
+      });
+    }
+
+    const { sourceId, fields = {} } = req.body;
+    if (sourceId === req.params.id) {
+      return res.status(400).json({ error: 'A lead cannot be merged into itself' });
+    }
+
+    const [target, source] = await Promise.all([
+      Lead.findOne(scopeLeadQuery(req.user, { _id: req.params.id }, 'leads:update:any')),
+      Lead.findOne(scopeLeadQuery(req.user, { _id: sourceId }, 'leads:update:any'))
+    ]);
+    if (!target || !source) {
+      return res.status(404).json({ error: 'Lead not found' });
+    }
+
+    const snapshot = source.toObject();
+    const previousStatus = target.status;
+
+    // Taking the source's status or source is held to the same rules as an
+    // edit: no deactivated choices and no illegal pipeline jumps
+    const picklistErrors = await checkPicklistChoices({
+      source: fields.source === 'source' ? source.source : undefined,
+      status: fields.status === 'source' ? source.status : undefined
+    }, target);
+    if (picklistErrors.length) {
+      return res.status(400).json({ error: 'Validation failed', details: picklistErrors });
+    }
+
+    const statuses = await getPicklist('status');
+    if (fields.status === 'source' && !changeStatus(target, source.status, req.user, statuses)) {
+      return res.status(400).json({
+        error: 'Invalid status transition',
+        details: [transitionError(target.status, source.status, statuses)]
+      });
+    }
+
+    // Reassignment goes through assignLead so it lands in the assignment history
+    if (fields.assignedTo === 'source') {
+      assignLead(target, source.assignedTo, { by: req.user });
+    }
+
+    Object.entries(fields)
+      .filter(([field, winner]) => winner === 'source' && !['status', 'assignedTo'].includes(field))
+      .forEach(([field]) => target.set(field, source.get(field)));
+
+    // Keep the full history of both leads
+    target.stageHistory = [...target.stageHistory, ...source.stageHistory]
+      .sort((a, b) => new Date(a.changedAt) - new Date(b.changedAt));
+    if (source.lastActivityAt && (!target.lastActivityAt || source.lastActivityAt > target.lastActivityAt)) {
+      target.lastActivityAt = source.lastActivityAt;
+    }
+    // Tags are combined; custom fields the target lacks come from the source
+    target.tags = [...new Set([...target.tags, ...source.tags])];
+    target.customFields = { ...source.customFields, ...target.customFields };
+    target.markModified('customFields');
+    target.mergedFrom.push(
+      ...source.mergedFrom,
+      { lead: source._id, data: snapshot, mergedBy: req.user._id, mergedAt: new Date() }
+    );
+
+    // The source is trashed first so the target can take over its unique
+    // email; if saving the target fails the source is taken out of the trash
+    const trashed = await Lead.findOneAndUpdate(
+      { _id: source._id },
+      { deletedAt: new Date(), deletedBy: req.user._id, mergedInto: target._id },
+      { new: true }
+    );
+    if (!trashed) {
+      return res.status(404).json({ error: 'Lead not found' });
+    }
+    let changedFields;
+    try {
+      await scoreLead(target);
+      changedFields = changedLeadFields(target).filter(field => field !== 'mergedFrom');
+      await target.save();
+    } catch (error) {
+      await Lead.updateOne(
+        { _id: source._id, deletedAt: { $ne: null } },
+        { deletedAt: null, deletedBy: null, mergedInto: null }
+      );
+      throw error;
+    }
+
+    await reassignRelatedRecords(source._id, target._id);
+
+    await target.populate([
+      { path: 'createdBy', select: 'firstName lastName email' },
+      { path: 'assignedTo', select: 'firstName lastName email' }
+    ]);
+
+    emitLeadEvent('lead.deleted', trashed);
+    if (changedFields.length) {
+      emitLeadEvent('lead.updated', target, { changedFields });
+    }
+    if (target.status !== previousStatus) {
+      emitLeadEvent('lead.status_changed', target, { from: previousStatus, to: target.status });
+    }
+
+    res.json({
+      message: 'Leads merged successfully',
+      lead: target
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,187 @@
+import express from 'express';
+import { validationResult, query } from 'express-validator';
+import Lead from '../models/Lead.js';
+import {
+  ASSIGNED_SHORTCUTS,
+  RELEVANCE_SORT,
+  SEARCH_SCORE_PROJECTION,
+  buildLeadQuery,
+  buildSort,
+  checkSortField,
+  getFilterDefinitions,
+  isRankedSearch
+} from '../utils/leadQuery.js';
+import { CUSTOM_FIELD_PREFIX } from '../utils/customFields.js';
+
+// Mounted under /api/leads/export, so `protect` has already run
+const router = express.Router();
+
+// Joins multi-valued cells (tags, multi-select fields)
+const LIST_SEPARATOR = '; ';
+
+const fullName = (user) => (user ? `${user.firstName} ${user.lastName}` : '');
+
+// Columns available for export and how to read each from a populated lead
+const EXPORT_COLUMNS = {
+  id: lead => String(lead._id),
+  firstName: lead => lead.firstName,
+  lastName: lead => lead.lastName,
+  email: lead => lead.email,
+  phone: lead => lead.phone,
+  company: lead => lead.company,
+  city: lead => lead.city,
+  state: lead => lead.state,
+  source: lead => lead.source,
+  status: lead => lead.status,
+  score: lead => lead.score,
+  leadValue: lead => lead.leadValue,
+  isQualified: lead => lead.isQualified,
+  lastActivityAt: lead => lead.lastActivityAt,
+  tags: lead => (lead.tags || []).join(LIST_SEPARATOR),
+  createdByName: lead => fullName(lead.createdBy),
+  createdByEmail: lead => lead.createdBy?.email || '',
+  assignedToName: lead => fullName(lead.assignedTo),
+  assignedToEmail: lead => lead.assignedTo?.email || '',
+  createdAt: lead => lead.createdAt,
+  updatedAt: lead => lead.updatedAt,
+  // Only set for relevance-ranked text searches
+  searchScore: lead => lead.searchScore ?? null
+};
+
+// Custom fields export as "customFields.<key>" columns
+const customFieldColumns = definitions => Object.fromEntries(definitions.map(({ key }) => [
+  `${CUSTOM_FIELD_PREFIX}${key}`,
+  lead => {
+    const value = lead.customFields?.[key];
+    return Array.isArray(value) ? value.join(LIST_SEPARATOR) : value;
+  }
+]));
+
+const DEFAULT_COLUMNS = [
+  'firstName', 'lastName', 'email', 'phone', 'company', 'city', 'state',
+  'source', 'status', 'score', 'leadValue', 'isQualified', 'lastActivityAt',
+  'createdByName', 'createdAt'
+];
+
+const formatValue = (value) => {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date) return value.toISOString();
+  return value;
+};
+
+// Spreadsheets run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const escapeCsv = (value) => {
+  if (value === null) return '';
+  let text = String(value);
+  // Numbers are left alone so negative values stay numeric
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toRow = (lead, columns, readers) =>
+  Object.fromEntries(columns.map(column => [column, formatValue(readers[column](lead))]));
+
+// Export filtered leads as CSV or newline-delimited JSON
+// Accepts the same filters, search, sortBy and sortOrder as GET /api/leads
+router.get('/', [
+  query('format').optional().isIn(['csv', 'ndjson']).withMessage('Format must be csv or ndjson'),
+  query('columns').optional().trim(),
+  query('search').optional().trim(),
+  query('searchMode').optional().isIn(['text', 'contains']).withMessage('Search mode must be text or contains'),
+  query('assigned').optional().isIn(ASSIGNED_SHORTCUTS).withMessage('Assigned must be me or unassigned'),
+  query('sortBy').optional().trim(),
+  query('sortOrder').optional().isIn(['asc', 'desc']).withMessage('Sort order must be asc or desc')
+], async (req, res, next) => {
+  let cursor;
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array().map(err => err.msg)
+      });
+    }
+
+    const format = req.query.format || 'csv';
+    const columns = req.query.columns
+      ? req.query.columns.split(',').map(column => column.trim()).filter(Boolean)
+      : DEFAULT_COLUMNS;
+
+    const definitions = await getFilterDefinitions();
+    const readers = { ...EXPORT_COLUMNS, ...customFieldColumns(definitions.customFields) };
+    const unknownColumns = columns.filter(column => !readers[column]);
+    if (unknownColumns.length || !columns.length) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: unknownColumns.length
+          ? unknownColumns.map(column => `Unknown export column: ${column}`)
+          : ['At least one column is required']
+      });
+    }
+
+    const searchMode = req.query.searchMode || 'text';
+    checkSortField(req.query.sortBy, definitions.customFields);
+    const leadQuery = buildLeadQuery(req.user, {
+      filters: req.query.filters,
+      search: req.query.search,
+      searchMode,
+      assigned: req.query.assigned,
+      ...definitions
+    });
+    const ranked = isRankedSearch(req.query.search, searchMode) && !req.query.sortBy;
+    const sort = ranked ? RELEVANCE_SORT : { ...buildSort(req.query.sortBy, req.query.sortOrder), _id: 1 };
+
+    cursor = Lead.find(leadQuery, ranked ? SEARCH_SCORE_PROJECTION : null)
+      .sort(sort)
+      .populate('createdBy', 'firstName lastName email')
+      .populate('assignedTo', 'firstName lastName email')
+      .lean()
+      .cursor();
+
+    // Stop reading from Mongo if the client goes away
+    res.on('close', () => cursor.close().catch(() => {}));
+
+    const timestamp = new Date().toISOString().slice(0, 10);
+    res.setHeader('Content-Disposition', `attachment; filename="leads-${timestamp}.${format === 'csv' ? 'csv' : 'ndjson'}"`);
+    res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson; charset=utf-8');
+
+    // Respect backpressure so large exports never pile up in memory
+    const write = (chunk) => new Promise(resolve => {
+      if (res.write(chunk)) return resolve();
+      const done = () => {
+        res.off('drain', done);
+        res.off('close', done);
+        resolve();
+      };
+      res.on('drain', done);
+      res.on('close', done);
+    });
+
+    if (format === 'csv') {
+      await write(`${columns.join(',')}\n`);
+    }
+
+    for await (const lead of cursor) {
+      if (res.destroyed) break;
+      const row = toRow(lead, columns, readers);
+      await write(format === 'csv'
+        ? `${columns.map(column => escapeCsv(row[column])).join(',')}\n`
+        : `${JSON.stringify(row)}\n`);
+    }
+
+    res.end();
+  } catch (error) {
+    // Once streaming has started the only option is to abort the response
+    if (res.headersSent) {
+      console.error('Error:', error);
+      return res.destroy(error);
+    }
+    next(error);
+  }
+});
+
+export default router;
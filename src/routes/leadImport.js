@@ -0,0 +1,244 @@
+import express from 'express';
+import multer from 'multer';
+import { parse } from 'csv-parse/sync';
+import Lead from '../models/Lead.js';
+import { sanitizeLeadInput } from '../middleware/permissions.js';
+import { validateLeadData } from '../middleware/validateLead.js';
+import { getActiveScoringRules, scoreLead } from '../utils/scoring.js';
+import { createLeadAssigner } from '../utils/assignment.js';
+import { emitLeadEvent } from '../utils/webhooks.js';
+
+// Mounted under /api/leads/import, so `protect` has already run
+const router = express.Router();
+
+const MAX_IMPORT_ROWS = 5000;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 }, // 5 MB
+  fileFilter: (req, file, cb) => {
+    const isCsv = file.mimetype === 'text/csv' ||
+      file.mimetype === 'application/vnd.ms-excel' ||
+      file.originalname.toLowerCase().endsWith('.csv');
+    cb(isCsv ? null : Object.assign(new Error('Only CSV files are allowed'), { status: 400 }), isCsv);
+  }
+});
+
+// Lead fields a CSV column may be mapped to
+const IMPORTABLE_FIELDS = [
+  'firstName', 'lastName', 'email', 'phone', 'company', 'city', 'state',
+  'source', 'status', 'score', 'leadValue', 'isQualified', 'lastActivityAt'
+];
+
+// Header spellings we recognise without an explicit mapping
+const HEADER_ALIASES = {
+  first: 'firstName',
+  given: 'firstName',
+  last: 'lastName',
+  surname: 'lastName',
+  emailaddress: 'email',
+  phonenumber: 'phone',
+  mobile: 'phone',
+  companyname: 'company',
+  organization: 'company',
+  value: 'leadValue',
+  dealvalue: 'leadValue',
+  qualified: 'isQualified',
+  lastactivity: 'lastActivityAt'
+};
+
+const normalizeHeader = (header) => header.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Build a CSV column -> Lead field map from the headers and any caller overrides
+const buildColumnMapping = (headers, overrides = {}) => {
+  const byNormalizedName = Object.fromEntries(
+    IMPORTABLE_FIELDS.map(field => [field.toLowerCase(), field])
+  );
+
+  const mapping = {};
+  headers.forEach(header => {
+    const normalized = normalizeHeader(header);
+    const field = byNormalizedName[normalized] || HEADER_ALIASES[normalized];
+    if (field) mapping[header] = field;
+  });
+
+  Object.entries(overrides).forEach(([header, field]) => {
+    if (field === null || field === '') {
+      delete mapping[header];
+    } else {
+      mapping[header] = field;
+    }
+  });
+
+  return mapping;
+};
+
+const parseMapping = (raw) => {
+  if (!raw) return {};
+  const mapping = typeof raw === 'string' ? JSON.parse(raw) : raw;
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    throw new Error('Mapping must be an object of CSV column to lead field');
+  }
+  return mapping;
+};
+
+const mapRow = (row, mapping) => {
+  const data = {};
+  Object.entries(mapping).forEach(([header, field]) => {
+    const value = row[header];
+    if (value !== undefined && value !== '') data[field] = value;
+  });
+  return data;
+};
+
+// Import leads from a CSV upload
+// multipart fields: file (CSV), mapping (JSON, optional), dryRun ("true" to validate only)
+router.post('/', upload.single('file'), async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'A CSV file is required in the "file" field' });
+    }
+
+    const dryRun = req.body.dryRun === 'true' || req.body.dryRun === true;
+
+    let overrides;
+    try {
+      overrides = parseMapping(req.body.mapping);
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid mapping format' });
+    }
+
+    const unknownFields = Object.values(overrides)
+      .filter(field => field && !IMPORTABLE_FIELDS.includes(field));
+    if (unknownFields.length) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: unknownFields.map(field => `Unknown lead field in mapping: ${field}`)
+      });
+    }
+
+    let records;
+    try {
+      records = parse(req.file.buffer, {
+        columns: true,
+        bom: true,
+        skip_empty_lines: true,
+        trim: true,
+        info: true
+      });
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid CSV file', details: [error.message] });
+    }
+
+    const rows = records.map(({ record }) => record);
+    if (rows.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({ error: `CSV cannot contain more than ${MAX_IMPORT_ROWS} rows` });
+    }
+
+    const headers = rows.length ? Object.keys(rows[0]) : [];
+    const mapping = buildColumnMapping(headers, overrides);
+
+    const report = { created: [], skipped: [], rejected: [] };
+    const candidates = [];
+    const seenEmails = new Set();
+    const scoringRules = await getActiveScoringRules();
+
+    for (const [index, row] of rows.entries()) {
+      // The CSV line the record ends on, which accounts for the header, skipped
+      // blank lines and quoted values spanning several lines
+      const rowNumber = records[index].info.lines;
+      const { data, errors } = await validateLeadData(mapRow(row, mapping));
+
+      if (errors.length) {
+        report.rejected.push({ row: rowNumber, errors });
+        continue;
+      }
+
+      if (seenEmails.has(data.email)) {
+        report.skipped.push({ row: rowNumber, email: data.email, reason: 'Duplicate email within file' });
+        continue;
+      }
+      seenEmails.add(data.email);
+
+      const lead = new Lead({
+        ...sanitizeLeadInput(req.user, data),
+        createdBy: req.user._id
+      });
+      await scoreLead(lead, scoringRules);
+
+      try {
+        await lead.validate();
+      } catch (error) {
+        report.rejected.push({
+          row: rowNumber,
+          errors: Object.values(error.errors || {}).map(err => err.message)
+        });
+        continue;
+      }
+
+      candidates.push({ row: rowNumber, lead });
+    }
+
+    // Leads that already exist (by unique email) are skipped
+    const existing = await Lead.find(
+      { email: { $in: candidates.map(({ lead }) => lead.email) } },
+      { email: 1 }
+    );
+    const existingEmails = new Set(existing.map(lead => lead.email));
+
+    const toInsert = candidates.filter(({ row, lead }) => {
+      if (!existingEmails.has(lead.email)) return true;
+      report.skipped.push({ row, email: lead.email, reason: 'Lead with this email already exists' });
+      return false;
+    });
+
+    if (dryRun) {
+      report.created = toInsert.map(({ row, lead }) => ({ row, email: lead.email }));
+    } else if (toInsert.length) {
+      // Rows without an owner are routed by the assignment rules
+      const assign = await createLeadAssigner();
+      for (const { lead } of toInsert) {
+        await assign(lead);
+      }
+
+      const failedEmails = new Set();
+      try {
+        await Lead.insertMany(toInsert.map(({ lead }) => lead), { ordered: false });
+      } catch (error) {
+        // Another request may have created one of these emails in the meantime
+        if (!error.writeErrors || error.writeErrors.some(writeError => writeError.code !== 11000)) {
+          throw error;
+        }
+        error.writeErrors.forEach(writeError => failedEmails.add(writeError.getOperation().email));
+      }
+
+      toInsert.forEach(({ row, lead }) => {
+        if (failedEmails.has(lead.email)) {
+          report.skipped.push({ row, email: lead.email, reason: 'Lead with this email already exists' });
+        } else {
+          report.created.push({ row, id: lead._id, email: lead.email });
+          emitLeadEvent('lead.created', lead);
+        }
+      });
+    }
+
+    report.skipped.sort((a, b) => a.row - b.row);
+
+    res.status(dryRun ? 200 : 201).json({
+      message: dryRun ? 'Import validated successfully' : 'Import completed',
+      dryRun,
+      mapping,
+      summary: {
+        totalRows: rows.length,
+        created: report.created.length,
+        skipped: report.skipped.length,
+        rejected: report.rejected.length
+      },
+      ...report
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
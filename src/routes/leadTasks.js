@@ -0,0 +1,82 @@
+import express from 'express';
+import { validationResult } from 'express-validator';
+import Task from '../models/Task.js';
+import Lead from '../models/Lead.js';
+import { scopeLeadQuery } from '../middleware/permissions.js';
+import {
+  TASK_POPULATE,
+  ensureAssigneeExists,
+  findTasks,
+  pickTaskFields,
+  taskValidators,
+  validateTaskQuery
+} from './tasks.js';
+
+// Mounted under /api/leads/:id/tasks, so `protect` has already run.
+// Changing a single task goes through /api/tasks/:taskId.
+const router = express.Router({ mergeParams: true });
+
+// Load the parent lead, respecting the caller's visibility
+router.use(async (req, res, next) => {
+  try {
+    const lead = await Lead.findOne(scopeLeadQuery(req.user, { _id: req.params.id }));
+    if (!lead) {
+      return res.status(404).json({ error: 'Lead not found' });
+    }
+    req.lead = lead;
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get a lead's tasks; open ones by default
+router.get('/', validateTaskQuery, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array().map(err => err.msg)
+      });
+    }
+
+    res.json(await findTasks({ lead: req.lead._id }, req));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create task; assigned to the creator unless someone else is named
+router.post('/', taskValidators(), async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array().map(err => err.msg)
+      });
+    }
+
+    const fields = pickTaskFields(req.body);
+    await ensureAssigneeExists(fields.assignee);
+
+    const task = await Task.create({
+      assignee: req.user._id,
+      ...fields,
+      overdue: fields.dueAt <= new Date(),
+      lead: req.lead._id,
+      createdBy: req.user._id
+    });
+    await task.populate(TASK_POPULATE);
+
+    res.status(201).json({
+      message: 'Task created successfully',
+      task
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
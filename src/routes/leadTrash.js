@@ -0,0 +1,137 @@
+import express from 'express';
+import { validationResult, query } from 'express-validator';
+import Lead from '../models/Lead.js';
+import Activity from '../models/Activity.js';
+import Task from '../models/Task.js';
+import { authorize } from '../middleware/permissions.js';
+import { emitLeadEvent } from '../utils/webhooks.js';
+
+// Mounted on the leads router, so `protect` has already run
+const router = express.Router();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How long trashed leads are kept before a purge may remove them
+export const getTrashRetentionDays = () => parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+
+// Get trashed leads
+router.get('/trash', authorize('leads:delete'), [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array().map(err => err.msg)
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const filter = { deletedAt: { $ne: null } };
+
+    const [leads, total] = await Promise.all([
+      Lead.find(filter)
+        .sort({ deletedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('createdBy', 'firstName lastName email')
+        .populate('deletedBy', 'firstName lastName email'),
+      Lead.countDocuments(filter)
+    ]);
+
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      leads,
+      retentionDays: getTrashRetentionDays(),
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalLeads: total,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1,
+        limit
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Permanently remove trashed leads older than the retention period
+router.delete('/trash', authorize('leads:delete'), [
+  query('olderThanDays').optional().isInt({ min: 0 }).withMessage('olderThanDays must be a non-negative integer')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array().map(err => err.msg)
+      });
+    }
+
+    const days = req.query.olderThanDays !== undefined
+      ? parseInt(req.query.olderThanDays)
+      : getTrashRetentionDays();
+    const cutoff = new Date(Date.now() - days * DAY_MS);
+
+    const purged = await Lead.find({ deletedAt: { $ne: null, $lte: cutoff } }, { _id: 1 });
+    const purgedIds = purged.map(lead => lead._id);
+
+    if (purgedIds.length) {
+      await Lead.deleteMany({ _id: { $in: purgedIds } });
+      await Activity.deleteMany({ lead: { $in: purgedIds } });
+      await Task.deleteMany({ lead: { $in: purgedIds } });
+    }
+
+    res.json({
+      message: 'Trash purged successfully',
+      purged: purgedIds.length,
+      olderThanDays: days
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Restore a trashed lead
+router.post('/:id/restore', authorize('leads:delete'), async (req, res, next) => {
+  try {
+    const lead = await Lead.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+    if (!lead) {
+      return res.status(404).json({ error: 'Lead not found in trash' });
+    }
+
+    // Another lead may have been created with the same email in the meantime
+    const conflict = await Lead.exists({ email: lead.email, _id: { $ne: lead._id } });
+    if (conflict) {
+      return res.status(409).json({ error: 'An active lead with this email already exists' });
+    }
+
+    lead.deletedAt = null;
+    lead.deletedBy = null;
+    lead.mergedInto = null;
+    await lead.save();
+
+    await lead.populate([
+      { path: 'createdBy', select: 'firstName lastName email' },
+      { path: 'assignedTo', select: 'firstName lastName email' }
+    ]);
+
+    // Receivers were told the lead was deleted, so it comes back as a new one
+    emitLeadEvent('lead.created', lead);
+
+    res.json({
+      message: 'Lead restored successfully',
+      lead
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -1,151 +1,128 @@
 import express from 'express';
+import mongoose from 'mongoose';
 import { body, validationResult, query } from 'express-validator';
 import Lead from '../models/Lead.js';
+import Activity from '../models/Activity.js';
+import User from '../models/User.js';
+import SavedView from '../models/SavedView.js';
+import { STATUS_CATEGORIES } from '../models/PicklistValue.js';
 import { protect } from '../middleware/auth.js';
+import {
+  authorize,
+  hasPermission,
+  sanitizeLeadInput,
+  scopeLeadQuery,
+  scopeStatsMatch
+} from '../middleware/permissions.js';
+import { validateLead } from '../middleware/validateLead.js';
+import {
+  ASSIGNED_SHORTCUTS,
+  RELEVANCE_SORT,
+  SEARCH_SCORE_PROJECTION,
+  buildLeadQuery,
+  buildSort,
+  checkSortField,
+  getFilterDefinitions,
+  isRankedSearch
+} from '../utils/leadQuery.js';
+import { setLeadCustomFields } from '../utils/customFields.js';
+import { buildTransitions, changeStatus, transitionError } from '../utils/pipeline.js';
+import { activeValues, checkPicklistChoices, getPicklist, getPicklists } from '../utils/picklists.js';
+import { scoreLead } from '../utils/scoring.js';
+import { assignLead, autoAssignLead } from '../utils/assignment.js';
+import { buildCursorPage, buildCursorResult, decodeCursor } from '../utils/cursorPagination.js';
+import { findAuditLogs, validateAuditQuery } from '../utils/audit.js';
+import activityRoutes from './activities.js';
+import leadTaskRoutes from './leadTasks.js';
+import leadImportRoutes from './leadImport.js';
+import leadExportRoutes from './leadExport.js';
+import leadBulkRoutes from './leadBulk.js';
+import leadDuplicateRoutes from './leadDuplicates.js';
+import leadTrashRoutes from './leadTrash.js';
+import leadAnalyticsRoutes from './leadAnalytics.js';
+import { changedLeadFields, emitLeadEvent } from '../utils/webhooks.js';
+import { rateLimit } from '../utils/rateLimit.js';
 
 const router = express.Router();
 
 // Apply auth middleware to all routes
 router.use(protect);
 
-// Validation middleware
-const validateLead = [
-  body('firstName')
-    .trim()
-    .notEmpty()
-    .withMessage('First name is required')
-    .isLength({ max: 50 })
-    .withMessage('First name cannot exceed 50 characters'),
-  body('lastName')
-    .trim()
-    .notEmpty()
-    .withMessage('Last name is required')
-    .isLength({ max: 50 })
-    .withMessage('Last name cannot exceed 50 characters'),
-  body('email')
-    .isEmail()
-    .normalizeEmail()
-    .withMessage('Please enter a valid email'),
-  body('phone')
-    .matches(/^[\+]?[1-9][\d]{0,15}$/)
-    .withMessage('Please enter a valid phone number'),
-  body('company')
-    .trim()
-    .notEmpty()
-    .withMessage('Company is required')
-    .isLength({ max: 100 })
-    .withMessage('Company name cannot exceed 100 characters'),
-  body('city')
-    .trim()
-    .notEmpty()
-    .withMessage('City is required')
-    .isLength({ max: 50 })
-    .withMessage('City cannot exceed 50 characters'),
-  body('state')
-    .trim()
-    .notEmpty()
-    .withMessage('State is required')
-    .isLength({ max: 50 })
-    .withMessage('State cannot exceed 50 characters'),
-  body('source')
-    .isIn(['website', 'facebook_ads', 'google_ads', 'referral', 'events', 'other'])
-    .withMessage('Invalid source'),
-  body('status')
-    .optional()
-    .isIn(['new', 'contacted', 'qualified', 'lost', 'won'])
-    .withMessage('Invalid status'),
-  body('score')
-    .isInt({ min: 0, max: 100 })
-    .withMessage('Score must be between 0 and 100'),
-  body('leadValue')
-    .isFloat({ min: 0 })
-    .withMessage('Lead value must be a positive number'),
-  body('isQualified')
-    .optional()
-    .isBoolean()
-    .withMessage('isQualified must be a boolean'),
-  body('lastActivityAt')
-    .custom((value) => {
-      if (!value || value === null || value === '') return true; // allow null/empty
-      const date = new Date(value);
-      if (isNaN(date.getTime())) throw new Error('lastActivityAt must be a valid date');
-      return true;
+// Per-user request limit, configurable with RATE_LIMIT_WINDOW_MS and RATE_LIMIT_MAX
+router.use(rateLimit({
+  windowMs: () => parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000,
+  max: () => parseInt(process.env.RATE_LIMIT_MAX) || 1000,
+  prefix: 'leads',
+  keyGenerator: req => String(req.user._id)
+}));
+
+// CSV import
+router.use('/import', leadImportRoutes);
+
+// CSV / NDJSON export
+router.use('/export', leadExportRoutes);
+
+// Bulk actions
+router.use('/bulk', leadBulkRoutes);
+
+// Time series, funnel and breakdown analytics
+router.use('/analytics', leadAnalyticsRoutes);
+
+// Duplicate detection and merge
+router.use(leadDuplicateRoutes);
+
+// Trash, restore and purge
+router.use(leadTrashRoutes);
+
+// Activity timeline sub-resource
+router.use('/:id/activities', activityRoutes);
+
+// Follow-up tasks sub-resource
+router.use('/:id/tasks', leadTaskRoutes);
+
+// Label grouped counts from their picklist, in picklist order. Values that
+// are no longer in the list still show up, at the end.
+const describeStats = (stats, entries) => {
+  const rank = new Map(entries.map((entry, index) => [entry.value, index]));
+  return stats
+    .map(({ _id, count }) => {
+      const entry = entries.find(item => item.value === _id);
+      return {
+        _id,
+        count,
+        label: entry?.label ?? _id,
+        active: entry?.active ?? false,
+        ...(entry?.category && { category: entry.category })
+      };
     })
-];
-
-// Helper function to build query filters
-const buildFilterQuery = (filters) => {
-  const query = {};
-
-  Object.keys(filters).forEach(key => {
-    const filter = filters[key];
-    if (!filter || typeof filter !== 'object') return;
-
-    const { operator, value, value2 } = filter;
-    if (!operator || value === undefined) return;
-
-    switch (key) {
-      case 'email':
-      case 'company':
-      case 'city':
-      case 'state':
-        if (operator === 'equals') query[key] = value;
-        if (operator === 'contains') query[key] = new RegExp(value, 'i');
-        break;
-
-      case 'source':
-      case 'status':
-        if (operator === 'equals') query[key] = value;
-        if (operator === 'in' && Array.isArray(value)) query[key] = { $in: value };
-        break;
-
-      case 'score':
-      case 'leadValue':
-        if (operator === 'equals') query[key] = value;
-        if (operator === 'gt') query[key] = { $gt: value };
-        if (operator === 'lt') query[key] = { $lt: value };
-        if (operator === 'between' && value2 !== undefined) {
-          query[key] = { $gte: value, $lte: value2 };
-        }
-        break;
-
-      case 'createdAt':
-      case 'lastActivityAt':
-        if (operator === 'on') {
-          const date = new Date(value);
-          const nextDay = new Date(date.getTime() + 24 * 60 * 60 * 1000);
-          query[key] = { $gte: date, $lt: nextDay };
-        }
-        if (operator === 'before') query[key] = { $lt: new Date(value) };
-        if (operator === 'after') query[key] = { $gt: new Date(value) };
-        if (operator === 'between' && value2 !== undefined) {
-          query[key] = { $gte: new Date(value), $lte: new Date(value2) };
-        }
-        break;
-
-      case 'isQualified':
-        if (operator === 'equals') query[key] = value === 'true' || value === true;
-        break;
-    }
-  });
-
-  return query;
+    .sort((a, b) => (rank.get(a._id) ?? entries.length) - (rank.get(b._id) ?? entries.length));
 };
 
 // 📌 Get lead statistics (moved before :id to avoid route conflict)
 router.get('/stats/overview', async (req, res, next) => {
   try {
-    const [totalLeads, statusStats, sourceStats, avgScore] = await Promise.all([
-      Lead.countDocuments(),
-      Lead.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]),
-      Lead.aggregate([{ $group: { _id: '$source', count: { $sum: 1 } } }]),
-      Lead.aggregate([{ $group: { _id: null, avgScore: { $avg: '$score' } } }])
+    // Admins get global stats, everyone else only their own leads
+    const match = scopeStatsMatch(req.user);
+
+    const [totalLeads, statusStats, sourceStats, avgScore, picklists] = await Promise.all([
+      Lead.countDocuments(match),
+      Lead.aggregate([{ $match: match }, { $group: { _id: '$status', count: { $sum: 1 } } }]),
+      Lead.aggregate([{ $match: match }, { $group: { _id: '$source', count: { $sum: 1 } } }]),
+      Lead.aggregate([{ $match: match }, { $group: { _id: null, avgScore: { $avg: '$score' } } }]),
+      getPicklists()
     ]);
 
+    const statuses = describeStats(statusStats, picklists.status);
+    const categoryStats = STATUS_CATEGORIES.map(category => ({
+      category,
+      count: statuses.filter(stat => stat.category === category).reduce((sum, stat) => sum + stat.count, 0)
+    }));
+
     res.json({
       totalLeads,
-      statusStats,
-      sourceStats,
+      statusStats: statuses,
+      sourceStats: describeStats(sourceStats, picklists.source),
+      categoryStats,
       avgScore: avgScore[0]?.avgScore || 0
     });
   } catch (error) {
@@ -153,13 +130,53 @@ router.get('/stats/overview', async (req, res, next) => {
   }
 });
 
-// Get all leads with pagination and filters
+// Get the status pipeline definition. `statuses` lists the ones that can be
+// chosen; `stages` describes every status, inactive ones included.
+router.get('/pipeline', async (req, res, next) => {
+  try {
+    const statuses = await getPicklist('status');
+
+    res.json({
+      statuses: activeValues(statuses),
+      transitions: buildTransitions(statuses),
+      stages: statuses.map(({ value, label, category, qualified, active }) => ({ value, label, category, qualified, active }))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Tags in use on the leads the caller can see, most used first
+router.get('/tags', async (req, res, next) => {
+  try {
+    const tags = await Lead.aggregate([
+      { $match: scopeLeadQuery(req.user) },
+      { $unwind: '$tags' },
+      { $group: { _id: '$tags', count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } }
+    ]);
+
+    res.json({ tags: tags.map(({ _id, count }) => ({ tag: _id, count })) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get all leads with pagination and filters.
+// Pass pagination=cursor (or a cursor) for keyset pagination instead of pages.
+// Text searches without an explicit sortBy are ordered by relevance (page mode only).
 router.get('/', [
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
   query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
   query('search').optional().trim(),
+  query('searchMode').optional().isIn(['text', 'contains']).withMessage('Search mode must be text or contains'),
+  query('assigned').optional().isIn(ASSIGNED_SHORTCUTS).withMessage('Assigned must be me or unassigned'),
   query('sortBy').optional().trim(),
-  query('sortOrder').optional().isIn(['asc', 'desc']).withMessage('Sort order must be asc or desc')
+  query('sortOrder').optional().isIn(['asc', 'desc']).withMessage('Sort order must be asc or desc'),
+  query('viewId').optional().isMongoId().withMessage('Invalid view ID'),
+  query('pagination').optional().isIn(['page', 'cursor']).withMessage('Pagination must be page or cursor'),
+  query('cursor').optional().isString(),
+  query('includeTotal').optional().isBoolean().withMessage('includeTotal must be a boolean')
 ], async (req, res, next) => {
   try {
     const errors = validationResult(req);
@@ -170,49 +187,78 @@ router.get('/', [
       });
     }
 
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 20;
-    const skip = (page - 1) * limit;
-    const search = req.query.search;
-    const sortBy = req.query.sortBy || 'createdAt';
-    const sortOrder = req.query.sortOrder === 'asc' ? 1 : -1;
-
-    let query = {};
-
-    // Apply filters if provided
-    if (req.query.filters) {
-      try {
-        const filters = typeof req.query.filters === 'string' 
-          ? JSON.parse(req.query.filters) 
-          : req.query.filters;
-        query = { ...query, ...buildFilterQuery(filters) };
-      } catch (error) {
-        return res.status(400).json({ error: 'Invalid filters format' });
+    // A saved view supplies defaults; explicit query params still win
+    let view = null;
+    if (req.query.viewId) {
+      view = await SavedView.findOne({ _id: req.query.viewId, ...SavedView.visibleTo(req.user) });
+      if (!view) {
+        return res.status(404).json({ error: 'Saved view not found' });
       }
     }
 
-    // Apply search if provided
-    if (search) {
-      query.$or = [
-        { firstName: new RegExp(search, 'i') },
-        { lastName: new RegExp(search, 'i') },
-        { email: new RegExp(search, 'i') },
-        { company: new RegExp(search, 'i') },
-        { city: new RegExp(search, 'i') },
-        { state: new RegExp(search, 'i') }
-      ];
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+    const search = req.query.search || view?.search;
+    const searchMode = req.query.searchMode || 'text';
+    const definitions = await getFilterDefinitions();
+    const query = buildLeadQuery(req.user, {
+      filters: req.query.filters || view?.filters,
+      search,
+      searchMode,
+      assigned: req.query.assigned,
+      ...definitions
+    });
+    const ranked = isRankedSearch(search, searchMode);
+    const projection = ranked ? SEARCH_SCORE_PROJECTION : null;
+    const sortBy = req.query.sortBy || view?.sortBy || 'createdAt';
+    const sortOrder = req.query.sortOrder || view?.sortOrder || 'desc';
+    // A view's sort is only a default; searches within it still rank by relevance
+    const explicitSort = Boolean(req.query.sortBy);
+    const cursorMode = req.query.pagination === 'cursor' || Boolean(req.query.cursor);
+    checkSortField(sortBy, definitions.customFields, { cursor: cursorMode });
+    const sort = ranked && !explicitSort ? RELEVANCE_SORT : buildSort(sortBy, sortOrder);
+    const viewInfo = view && { view: { id: view._id, name: view.name, columns: view.columns } };
+
+    if (cursorMode) {
+      const sortSpec = { sortBy, sortOrder };
+      const cursor = req.query.cursor ? decodeCursor(req.query.cursor, sortSpec) : null;
+      const pageQuery = buildCursorPage(query, sortSpec, cursor);
+
+      // The total needs a full count, so it is only computed on request
+      const [rows, total] = await Promise.all([
+        Lead.find(pageQuery.query, projection)
+          .sort(pageQuery.sort)
+          .limit(limit + 1)
+          .populate('createdBy', 'firstName lastName email')
+          .populate('assignedTo', 'firstName lastName email'),
+        req.query.includeTotal === 'true' ? Lead.countDocuments(query) : null
+      ]);
+
+      const result = buildCursorResult(rows, limit, sortSpec, cursor);
+
+      return res.json({
+        leads: result.items,
+        ...viewInfo,
+        pagination: {
+          mode: 'cursor',
+          nextCursor: result.nextCursor,
+          prevCursor: result.prevCursor,
+          hasNextPage: result.hasNextPage,
+          hasPrevPage: result.hasPrevPage,
+          ...(total !== null && { totalLeads: total }),
+          limit
+        }
+      });
     }
 
-    // Build sort object
-    const sort = {};
-    sort[sortBy] = sortOrder;
-
     const [leads, total] = await Promise.all([
-      Lead.find(query)
+      Lead.find(query, projection)
         .sort(sort)
         .skip(skip)
         .limit(limit)
-        .populate('createdBy', 'firstName lastName email'),
+        .populate('createdBy', 'firstName lastName email')
+        .populate('assignedTo', 'firstName lastName email'),
       Lead.countDocuments(query)
     ]);
 
@@ -220,6 +266,7 @@ router.get('/', [
 
     res.json({
       leads,
+      ...viewInfo,
       pagination: {
         currentPage: page,
         totalPages,
@@ -234,17 +281,74 @@ router.get('/', [
   }
 });
 
-// Get single lead
-router.get('/:id', async (req, res, next) => {
+// Get single lead (?include=activities adds the recent timeline)
+router.get('/:id', [
+  query('include').optional().trim(),
+  query('activityLimit').optional().isInt({ min: 1, max: 50 }).withMessage('Activity limit must be between 1 and 50')
+], async (req, res, next) => {
   try {
-    const lead = await Lead.findById(req.params.id)
-      .populate('createdBy', 'firstName lastName email');
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array().map(err => err.msg) 
+      });
+    }
+
+    const lead = await Lead.findOne(scopeLeadQuery(req.user, { _id: req.params.id }))
+      .populate('createdBy', 'firstName lastName email')
+      .populate('assignedTo', 'firstName lastName email');
     
     if (!lead) {
       return res.status(404).json({ error: 'Lead not found' });
     }
 
-    res.json({ lead });
+    const include = (req.query.include || '').split(',').map(item => item.trim());
+    const response = { lead };
+
+    if (include.includes('activities')) {
+      response.activities = await Activity.find({ lead: lead._id })
+        .sort({ occurredAt: -1, _id: -1 })
+        .limit(parseInt(req.query.activityLimit) || 10)
+        .populate('createdBy', 'firstName lastName email');
+    }
+
+    res.json(response);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get a lead's change history (admins can also see trashed leads)
+router.get('/:id/history', validateAuditQuery, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array().map(err => err.msg) 
+      });
+    }
+
+    const lead = await Lead.exists(scopeLeadQuery(req.user, { _id: req.params.id }))
+      .setOptions({ withDeleted: hasPermission(req.user, 'leads:delete') });
+
+    if (!lead) {
+      return res.status(404).json({ error: 'Lead not found' });
+    }
+
+    const filter = { entity: 'Lead', entityId: lead._id };
+    if (req.query.action) filter.action = req.query.action;
+    if (req.query.from || req.query.to) {
+      filter.createdAt = {};
+      if (req.query.from) filter.createdAt.$gte = new Date(req.query.from);
+      if (req.query.to) filter.createdAt.$lte = new Date(req.query.to);
+    }
+
+    res.json(await findAuditLogs(filter, {
+      page: parseInt(req.query.page) || 1,
+      limit: parseInt(req.query.limit) || 50
+    }));
   } catch (error) {
     next(error);
   }
@@ -261,8 +365,14 @@ router.post('/', validateLead, async (req, res, next) => {
       });
     }
 
+    const { assignedTo, customFields, ...sanitized } = sanitizeLeadInput(req.user, req.body);
+    const picklistErrors = await checkPicklistChoices(sanitized);
+    if (picklistErrors.length) {
+      return res.status(400).json({ error: 'Validation failed', details: picklistErrors });
+    }
+
     const leadData = {
-      ...req.body,
+      ...sanitized,
       createdBy: req.user._id
     };
 
@@ -272,9 +382,24 @@ router.post('/', validateLead, async (req, res, next) => {
     }
 
     const lead = new Lead(leadData);
+    await setLeadCustomFields(lead, customFields, { isNew: true });
+
+    // An explicit owner wins; otherwise the assignment rules pick one
+    if (assignedTo) {
+      assignLead(lead, assignedTo, { by: req.user });
+    } else {
+      await autoAssignLead(lead);
+    }
+
+    await scoreLead(lead);
     await lead.save();
     
-    await lead.populate('createdBy', 'firstName lastName email');
+    await lead.populate([
+      { path: 'createdBy', select: 'firstName lastName email' },
+      { path: 'assignedTo', select: 'firstName lastName email' }
+    ]);
+
+    emitLeadEvent('lead.created', lead);
 
     res.status(201).json({
       message: 'Lead created successfully',
@@ -296,22 +421,58 @@ router.put('/:id', validateLead, async (req, res, next) => {
       });
     }
 
-    const updateData = { ...req.body };
-    
+    const { status, assignedTo, customFields, ...updateData } = sanitizeLeadInput(req.user, req.body);
+
     if (req.body.lastActivityAt) {
       updateData.lastActivityAt = new Date(req.body.lastActivityAt);
     }
 
-    const lead = await Lead.findByIdAndUpdate(
-      req.params.id,
-      updateData,
-      { new: true, runValidators: true }
-    ).populate('createdBy', 'firstName lastName email');
+    const lead = await Lead.findOne(
+      scopeLeadQuery(req.user, { _id: req.params.id }, 'leads:update:any')
+    );
 
     if (!lead) {
       return res.status(404).json({ error: 'Lead not found' });
     }
 
+    const previousStatus = lead.status;
+
+    // The lead may keep a deactivated source or status, but not switch to one
+    const picklistErrors = await checkPicklistChoices({ source: updateData.source, status }, lead);
+    if (picklistErrors.length) {
+      return res.status(400).json({ error: 'Validation failed', details: picklistErrors });
+    }
+
+    // Status moves go through the pipeline so illegal jumps are rejected
+    const statuses = await getPicklist('status');
+    if (status && !changeStatus(lead, status, req.user, statuses)) {
+      return res.status(400).json({
+        error: 'Invalid status transition',
+        details: [transitionError(lead.status, status, statuses)]
+      });
+    }
+
+    lead.set(updateData);
+    await setLeadCustomFields(lead, customFields);
+    if (assignedTo !== undefined) {
+      assignLead(lead, assignedTo, { by: req.user });
+    }
+    await scoreLead(lead);
+    const changedFields = changedLeadFields(lead);
+    await lead.save();
+
+    await lead.populate([
+      { path: 'createdBy', select: 'firstName lastName email' },
+      { path: 'assignedTo', select: 'firstName lastName email' }
+    ]);
+
+    if (changedFields.length) {
+      emitLeadEvent('lead.updated', lead, { changedFields });
+    }
+    if (lead.status !== previousStatus) {
+      emitLeadEvent('lead.status_changed', lead, { from: previousStatus, to: lead.status });
+    }
+
     res.json({
       message: 'Lead updated successfully',
       lead
@@ -321,16 +482,68 @@ router.put('/:id', validateLead, async (req, res, next) => {
   }
 });
 
-// Delete lead
-router.delete('/:id', async (req, res, next) => {
+// Assign a lead to a user, or unassign it with null
+router.put('/:id/assign', authorize('leads:assign'), [
+  body('assignedTo')
+    .custom(value => value === null || mongoose.isValidObjectId(value))
+    .withMessage('assignedTo must be a valid user ID or null')
+], async (req, res, next) => {
   try {
-    const lead = await Lead.findByIdAndDelete(req.params.id);
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array().map(err => err.msg)
+      });
+    }
 
+    const { assignedTo } = req.body;
+    if (assignedTo && !(await User.exists({ _id: assignedTo }))) {
+      return res.status(400).json({ error: 'Validation failed', details: ['Assignee not found'] });
+    }
+
+    const lead = await Lead.findOne({ _id: req.params.id });
     if (!lead) {
       return res.status(404).json({ error: 'Lead not found' });
     }
 
-    res.json({ message: 'Lead deleted successfully' });
+    if (assignLead(lead, assignedTo, { by: req.user })) {
+      await lead.save();
+      emitLeadEvent('lead.updated', lead, { changedFields: ['assignedTo'] });
+    }
+
+    await lead.populate([
+      { path: 'createdBy', select: 'firstName lastName email' },
+      { path: 'assignedTo', select: 'firstName lastName email' },
+      { path: 'assignmentHistory.to', select: 'firstName lastName email' },
+      { path: 'assignmentHistory.assignedBy', select: 'firstName lastName email' }
+    ]);
+
+    res.json({
+      message: assignedTo ? 'Lead assigned successfully' : 'Lead unassigned successfully',
+      lead
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete lead (admins only). Moves it to the trash; see leadTrash.js
+router.delete('/:id', authorize('leads:delete'), async (req, res, next) => {
+  try {
+    const lead = await Lead.findOneAndUpdate(
+      { _id: req.params.id },
+      { deletedAt: new Date(), deletedBy: req.user._id },
+      { new: true }
+    );
+
+    if (!lead) {
+      return res.status(404).json({ error: 'Lead not found' });
+    }
+
+    emitLeadEvent('lead.deleted', lead);
+
+    res.json({ message: 'Lead moved to trash' });
   } catch (error) {
     next(error);
   }
@@ -0,0 +1,319 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import PicklistValue, { PICKLISTS, PICKLIST_VALUE_PATTERN, STATUS_CATEGORIES } from '../models/PicklistValue.js';
+import Lead from '../models/Lead.js';
+import FormKey from '../models/FormKey.js';
+import ScoringRule from '../models/ScoringRule.js';
+import AssignmentRule from '../models/AssignmentRule.js';
+import SavedView from '../models/SavedView.js';
+import { protect, requireLogin } from '../middleware/auth.js';
+import { authorize } from '../middleware/permissions.js';
+import { clearPicklistCache, getPicklist, getPicklists } from '../utils/picklists.js';
+import { renameFilterValue } from '../utils/filterQuery.js';
+
+const router = express.Router();
+
+const STATUS_ONLY_FIELDS = ['category', 'qualified', 'transitions'];
+
+// Apply auth middleware to all routes
+router.use(protect);
+router.use(requireLogin);
+
+// Validation middleware. `value` is required on create and renames on update.
+const validatePicklistValue = ({ partial = false } = {}) => [
+  (partial ? body('value').optional() : body('value'))
+    .trim()
+    .matches(PICKLIST_VALUE_PATTERN)
+    .withMessage('Value must start with a letter and contain only lowercase letters, digits and underscores (max 50)'),
+  (partial ? body('label').optional() : body('label'))
+    .trim()
+    .notEmpty()
+    .withMessage('Label is required')
+    .isLength({ max: 100 })
+    .withMessage('Label cannot exceed 100 characters'),
+  body('order')
+    .optional()
+    .isInt()
+    .withMessage('Order must be an integer'),
+  body('active')
+    .optional()
+    .isBoolean()
+    .withMessage('active must be a boolean'),
+  body('category')
+    .optional()
+    .isIn(STATUS_CATEGORIES)
+    .withMessage(`Category must be one of: ${STATUS_CATEGORIES.join(', ')}`),
+  body('qualified')
+    .optional()
+    .isBoolean()
+    .withMessage('qualified must be a boolean'),
+  body('transitions')
+    .optional()
+    .isArray()
+    .withMessage('transitions must be an array of status values'),
+  body('transitions.*')
+    .isString()
+    .withMessage('transitions must be an array of status values')
+];
+
+const pickPicklistFields = ({ value, label, order, active, category, qualified, transitions }) =>
+  Object.fromEntries(Object.entries({
+    value,
+    label,
+    order,
+    active,
+    category,
+    qualified,
+    transitions: transitions && [...new Set(transitions)]
+  }).filter(([, fieldValue]) => fieldValue !== undefined));
+
+const invalid = (...details) => Object.assign(new Error('Validation failed'), { status: 400, details });
+const inUse = message => Object.assign(new Error(message), { status: 409 });
+
+router.param('list', (req, res, next, list) => {
+  if (!PICKLISTS.includes(list)) {
+    return res.status(404).json({ error: 'Picklist not found' });
+  }
+  next();
+});
+
+// Check the list as it would be after a change: it must keep at least one
+// active value (and an active open status for new leads), and transitions
+// must point at other statuses that exist
+const checkListAfterChange = (list, entries) => {
+  const errors = [];
+  const active = entries.filter(entry => entry.active);
+
+  if (!active.length) {
+    errors.push(`The ${list} list needs at least one active value`);
+  }
+  if (list === 'status') {
+    if (!active.some(entry => entry.category === 'open')) {
+      errors.push('At least one active status must be in the open category, for new leads to start in');
+    }
+    const values = new Set(entries.map(entry => entry.value));
+    entries.forEach(entry => {
+      (entry.transitions || []).forEach(target => {
+        if (target === entry.value) errors.push(`Status "${entry.value}" cannot transition to itself`);
+        else if (!values.has(target)) errors.push(`Status "${entry.value}" transitions to unknown status "${target}"`);
+      });
+    });
+  }
+
+  if (errors.length) throw invalid(...errors);
+};
+
+// Active form keys that capture leads with this source
+const formsUsingSource = value => FormKey.find({ source: value, active: true }, 'name');
+
+// Point everything that stores a value at its new name
+const renameValue = async (list, from, to) => {
+  const withDeleted = { withDeleted: true };
+  const swap = value => (Array.isArray(value) ? value.map(swap) : value === from ? to : value);
+
+  await Lead.updateMany({ [list]: from }, { $set: { [list]: to } }).setOptions(withDeleted);
+
+  if (list === 'status') {
+    for (const end of ['from', 'to']) {
+      await Lead.updateMany(
+        { [`stageHistory.${end}`]: from },
+        { $set: { [`stageHistory.$[change].${end}`]: to } },
+        { arrayFilters: [{ [`change.${end}`]: from }] }
+      ).setOptions(withDeleted);
+    }
+    await PicklistValue.updateMany(
+      { list, transitions: from },
+      { $set: { 'transitions.$[target]': to } },
+      { arrayFilters: [{ target: from }] }
+    );
+  } else {
+    await FormKey.updateMany({ source: from }, { $set: { source: to } });
+  }
+
+  for (const rule of await ScoringRule.find({ field: list })) {
+    rule.value = swap(rule.value);
+    rule.markModified('value');
+    await rule.save();
+  }
+
+  for (const rule of await AssignmentRule.find({ 'conditions.field': list })) {
+    rule.conditions.forEach(condition => {
+      if (condition.field === list) condition.value = swap(condition.value);
+    });
+    rule.markModified('conditions');
+    await rule.save();
+  }
+
+  for (const view of await SavedView.find({ filters: { $ne: {} } })) {
+    const filters = renameFilterValue(view.filters, list, from, to);
+    if (JSON.stringify(filters) === JSON.stringify(view.filters)) continue;
+    view.filters = filters;
+    view.markModified('filters');
+    await view.save();
+  }
+};
+
+// Get both picklists in display order, inactive values included
+router.get('/', async (req, res, next) => {
+  try {
+    res.json({ ...(await getPicklists()), categories: STATUS_CATEGORIES });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get one picklist
+router.get('/:list', async (req, res, next) => {
+  try {
+    res.json({ values: await getPicklist(req.params.list) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Add a value
+router.post('/:list', authorize('picklists:manage'), validatePicklistValue(), async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array().map(err => err.msg)
+      });
+    }
+
+    const { list } = req.params;
+    const fields = pickPicklistFields(req.body);
+    if (list !== 'status' && STATUS_ONLY_FIELDS.some(field => field in fields)) {
+      throw invalid('category, qualified and transitions only apply to statuses');
+    }
+
+    const entries = await getPicklist(list);
+    if (entries.some(entry => entry.value === fields.value)) {
+      throw invalid(`The ${list} list already has the value "${fields.value}"`);
+    }
+    // New values go to the end unless an order is given
+    const order = fields.order ?? (entries.length ? Math.max(...entries.map(entry => entry.order)) + 10 : 10);
+    checkListAfterChange(list, [...entries, { active: true, category: 'open', ...fields }]);
+
+    const entry = await PicklistValue.create({
+      ...fields,
+      order,
+      list,
+      createdBy: req.user._id
+    });
+    clearPicklistCache();
+
+    res.status(201).json({
+      message: 'Picklist value created successfully',
+      value: entry
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update a value. Changing `value` renames it on every lead, form, rule and
+// saved view; deactivating keeps it on the leads that already have it.
+router.put('/:list/:id', authorize('picklists:manage'), validatePicklistValue({ partial: true }), async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array().map(err => err.msg)
+      });
+    }
+
+    const { list } = req.params;
+    const entry = await PicklistValue.findOne({ _id: req.params.id, list });
+    if (!entry) {
+      return res.status(404).json({ error: 'Picklist value not found' });
+    }
+
+    const fields = pickPicklistFields(req.body);
+    if (list !== 'status' && STATUS_ONLY_FIELDS.some(field => field in fields)) {
+      throw invalid('category, qualified and transitions only apply to statuses');
+    }
+
+    const entries = await getPicklist(list);
+    const renamed = fields.value !== undefined && fields.value !== entry.value;
+    if (renamed && entries.some(other => other.value === fields.value)) {
+      throw invalid(`The ${list} list already has the value "${fields.value}"`);
+    }
+
+    const updated = { ...entry.toObject(), ...fields };
+    const after = entries.map(other => {
+      if (String(other._id) === String(entry._id)) return updated;
+      // Transitions into a renamed status follow it
+      if (!renamed) return other;
+      return { ...other, transitions: (other.transitions || []).map(target => (target === entry.value ? fields.value : target)) };
+    });
+    checkListAfterChange(list, after);
+
+    if (list === 'source' && entry.active && fields.active === false) {
+      const forms = await formsUsingSource(entry.value);
+      if (forms.length) {
+        throw inUse(`Source "${entry.label}" is used by active forms: ${forms.map(form => form.name).join(', ')}`);
+      }
+    }
+
+    const previousValue = entry.value;
+    const qualifiedChanged = fields.qualified !== undefined && fields.qualified !== entry.qualified;
+    entry.set(fields);
+    await entry.save();
+
+    if (renamed) {
+      await renameValue(list, previousValue, entry.value);
+    }
+    if (qualifiedChanged) {
+      await Lead.updateMany({ status: entry.value }, { $set: { isQualified: entry.qualified } })
+        .setOptions({ withDeleted: true });
+    }
+    clearPicklistCache();
+
+    res.json({
+      message: 'Picklist value updated successfully',
+      value: entry
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete a value nothing uses any more; values still on leads or forms can
+// only be deactivated
+router.delete('/:list/:id', authorize('picklists:manage'), async (req, res, next) => {
+  try {
+    const { list } = req.params;
+    const entry = await PicklistValue.findOne({ _id: req.params.id, list });
+    if (!entry) {
+      return res.status(404).json({ error: 'Picklist value not found' });
+    }
+
+    const entries = await getPicklist(list);
+    checkListAfterChange(list, entries
+      .filter(other => String(other._id) !== String(entry._id))
+      .map(other => ({ ...other, transitions: (other.transitions || []).filter(target => target !== entry.value) })));
+
+    const leadCount = await Lead.countDocuments({ [list]: entry.value }).setOptions({ withDeleted: true });
+    if (leadCount) {
+      throw inUse(`"${entry.label}" is used by ${leadCount} lead(s); deactivate it instead`);
+    }
+    if (list === 'source' && await FormKey.exists({ source: entry.value })) {
+      throw inUse(`"${entry.label}" is used by a form; change the form or deactivate the source instead`);
+    }
+
+    await entry.deleteOne();
+    if (list === 'status') {
+      await PicklistValue.updateMany({ list, transitions: entry.value }, { $pull: { transitions: entry.value } });
+    }
+    clearPicklistCache();
+
+    res.json({ message: 'Picklist value deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
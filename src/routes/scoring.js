@@ -0,0 +1,165 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import ScoringRule from '../models/ScoringRule.js';
+import { protect, requireLogin } from '../middleware/auth.js';
+import { authorize } from '../middleware/permissions.js';
+import { SCORING_FIELDS, recomputeScores } from '../utils/scoring.js';
+
+const router = express.Router();
+
+// Apply auth middleware to all routes
+router.use(protect);
+router.use(requireLogin);
+
+// Validation middleware
+const validateRule = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Rule name is required')
+    .isLength({ max: 100 })
+    .withMessage('Rule name cannot exceed 100 characters'),
+  body('field')
+    .isIn(Object.keys(SCORING_FIELDS))
+    .withMessage(`Field must be one of: ${Object.keys(SCORING_FIELDS).join(', ')}`),
+  body('operator')
+    .custom((operator, { req }) => {
+      const operators = SCORING_FIELDS[req.body.field] || [];
+      if (!operators.includes(operator)) {
+        throw new Error(`Operator must be one of: ${operators.join(', ') || 'none (unknown field)'}`);
+      }
+      return true;
+    }),
+  body('value')
+    .custom((value, { req }) => {
+      const { operator } = req.body;
+      if (operator === 'is_empty') return true;
+      if (operator === 'in' && !Array.isArray(value)) throw new Error('Value must be an array for "in"');
+      if (['gt', 'lt', 'between', 'within_days', 'older_than_days'].includes(operator) && isNaN(Number(value))) {
+        throw new Error('Value must be a number for this operator');
+      }
+      if (value === undefined || value === null || value === '') throw new Error('Value is required');
+      return true;
+    }),
+  body('value2')
+    .if(body('operator').equals('between'))
+    .isNumeric()
+    .withMessage('value2 must be a number for "between"'),
+  body('points')
+    .isInt({ min: -100, max: 100 })
+    .withMessage('Points must be between -100 and 100'),
+  body('active')
+    .optional()
+    .isBoolean()
+    .withMessage('active must be a boolean')
+];
+
+const pickRuleFields = ({ name, field, operator, value, value2, points, active }) =>
+  ({ name, field, operator, value, value2: value2 ?? null, points, active });
+
+// Rule changes are applied to all leads in the background
+const recomputeInBackground = () => {
+  recomputeScores().catch(error => console.error('Error recomputing lead scores:', error));
+};
+
+// Get scoring rules (readable by everyone so reps can see how scores are built)
+router.get('/rules', async (req, res, next) => {
+  try {
+    const rules = await ScoringRule.find()
+      .sort({ createdAt: 1 })
+      .populate('createdBy', 'firstName lastName email');
+
+    res.json({ rules, fields: SCORING_FIELDS });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create scoring rule
+router.post('/rules', authorize('scoring:manage'), validateRule, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array().map(err => err.msg)
+      });
+    }
+
+    const rule = await ScoringRule.create({
+      ...pickRuleFields(req.body),
+      createdBy: req.user._id
+    });
+
+    recomputeInBackground();
+
+    res.status(201).json({
+      message: 'Scoring rule created successfully',
+      rule
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update scoring rule
+router.put('/rules/:id', authorize('scoring:manage'), validateRule, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array().map(err => err.msg)
+      });
+    }
+
+    const rule = await ScoringRule.findById(req.params.id);
+    if (!rule) {
+      return res.status(404).json({ error: 'Scoring rule not found' });
+    }
+
+    rule.set(pickRuleFields(req.body));
+    await rule.save();
+
+    recomputeInBackground();
+
+    res.json({
+      message: 'Scoring rule updated successfully',
+      rule
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete scoring rule
+router.delete('/rules/:id', authorize('scoring:manage'), async (req, res, next) => {
+  try {
+    const rule = await ScoringRule.findByIdAndDelete(req.params.id);
+    if (!rule) {
+      return res.status(404).json({ error: 'Scoring rule not found' });
+    }
+
+    recomputeInBackground();
+
+    res.json({ message: 'Scoring rule deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Recompute every lead's score with the current rules
+router.post('/recompute', authorize('scoring:manage'), async (req, res, next) => {
+  try {
+    const result = await recomputeScores();
+
+    res.json({
+      message: 'Lead scores recomputed',
+      ...result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,73 @@
+import express from 'express';
+import Session from '../models/Session.js';
+import { protect, requireLogin } from '../middleware/auth.js';
+import { clearAuthCookies, revokeSessions } from '../utils/sessions.js';
+
+// Mounted under /api/auth/sessions. Users see and revoke their own sessions.
+const router = express.Router();
+
+router.use(protect);
+router.use(requireLogin);
+
+// Get my active sessions, most recently used first
+router.get('/', async (req, res, next) => {
+  try {
+    const sessions = await Session.find(Session.activeFilter({ user: req.user._id }))
+      .sort({ lastSeenAt: -1 })
+      .lean();
+
+    res.json({
+      sessions: sessions.map(session => ({
+        _id: session._id,
+        device: session.device,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastSeenAt: session.lastSeenAt,
+        expiresAt: session.expiresAt,
+        current: String(session._id) === String(req.sessionId)
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Revoke every session, including this one
+router.delete('/', async (req, res, next) => {
+  try {
+    const result = await revokeSessions(req.user._id);
+
+    clearAuthCookies(res);
+
+    res.json({
+      message: 'All sessions revoked',
+      revoked: result.modifiedCount
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Revoke one session
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const session = await Session.findOneAndUpdate(
+      Session.activeFilter({ _id: req.params.id, user: req.user._id }),
+      { revokedAt: new Date() }
+    );
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    if (String(session._id) === String(req.sessionId)) {
+      clearAuthCookies(res);
+    }
+
+    res.json({ message: 'Session revoked' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,260 @@
+import express from 'express';
+import { body, validationResult, query } from 'express-validator';
+import Task, { TASK_PRIORITIES } from '../models/Task.js';
+import User from '../models/User.js';
+import { protect } from '../middleware/auth.js';
+import { hasPermission } from '../middleware/permissions.js';
+import { completeTask, reopenTask } from '../utils/tasks.js';
+
+const router = express.Router();
+
+const TASK_STATES = ['open', 'done', 'overdue', 'all'];
+
+export const TASK_POPULATE = [
+  { path: 'lead', select: 'firstName lastName company status' },
+  { path: 'assignee', select: 'firstName lastName email' },
+  { path: 'createdBy', select: 'firstName lastName email' },
+  { path: 'completedBy', select: 'firstName lastName email' }
+];
+
+// Apply auth middleware to all routes
+router.use(protect);
+
+// Validation for creating (all required fields) or updating (all optional) a task
+export const taskValidators = ({ partial = false } = {}) => {
+  const field = name => (partial ? body(name).optional() : body(name));
+  return [
+    field('title')
+      .trim()
+      .notEmpty()
+      .withMessage('Title is required')
+      .isLength({ max: 200 })
+      .withMessage('Title cannot exceed 200 characters'),
+    body('notes')
+      .optional()
+      .trim()
+      .isLength({ max: 5000 })
+      .withMessage('Notes cannot exceed 5000 characters'),
+    field('dueAt')
+      .isISO8601()
+      .withMessage('dueAt must be a valid date'),
+    body('remindAt')
+      .optional({ nullable: true })
+      .isISO8601()
+      .withMessage('remindAt must be a valid date'),
+    body('priority')
+      .optional()
+      .isIn(TASK_PRIORITIES)
+      .withMessage(`Priority must be one of: ${TASK_PRIORITIES.join(', ')}`),
+    body('assignee')
+      .optional()
+      .isMongoId()
+      .withMessage('Invalid assignee ID')
+  ];
+};
+
+// Validation for task listings
+export const validateTaskQuery = [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('status').optional().isIn(TASK_STATES).withMessage(`Status must be one of: ${TASK_STATES.join(', ')}`),
+  query('priority').optional().isIn(TASK_PRIORITIES).withMessage(`Priority must be one of: ${TASK_PRIORITIES.join(', ')}`)
+];
+
+export const pickTaskFields = ({ title, notes, dueAt, remindAt, priority, assignee }) => {
+  const fields = { title, notes, priority, assignee };
+  if (dueAt) fields.dueAt = new Date(dueAt);
+  if (remindAt !== undefined) fields.remindAt = remindAt ? new Date(remindAt) : null;
+  return Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined));
+};
+
+export const ensureAssigneeExists = async (assignee) => {
+  if (assignee && !(await User.exists({ _id: assignee }))) {
+    throw Object.assign(new Error('Assignee not found'), { status: 400 });
+  }
+};
+
+// Add the status/priority filters from the query string to a task filter
+const applyTaskFilters = (filter, { status = 'open', priority }) => {
+  if (status === 'open') filter.done = false;
+  if (status === 'done') filter.done = true;
+  if (status === 'overdue') {
+    // Compare against the clock rather than the flag, which the scheduler
+    // only updates once a minute
+    filter.done = false;
+    filter.dueAt = { $lte: new Date() };
+  }
+  if (priority) filter.priority = priority;
+  return filter;
+};
+
+// Fetch a page of tasks, soonest due first
+export const findTasks = async (filter, req, { status } = {}) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  applyTaskFilters(filter, { ...req.query, ...(status && { status }) });
+
+  const [tasks, total] = await Promise.all([
+    Task.find(filter)
+      .sort({ dueAt: 1, _id: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate(TASK_POPULATE),
+    Task.countDocuments(filter)
+  ]);
+
+  const totalPages = Math.ceil(total / limit);
+
+  return {
+    tasks,
+    pagination: {
+      currentPage: page,
+      totalPages,
+      totalTasks: total,
+      hasNextPage: page < totalPages,
+      hasPrevPage: page > 1,
+      limit
+    }
+  };
+};
+
+const listRoute = (buildFilter, options) => [
+  ...validateTaskQuery,
+  query('assignee').optional().isMongoId().withMessage('Invalid assignee ID'),
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array().map(err => err.msg)
+        });
+      }
+
+      res.json(await findTasks(buildFilter(req), req, options));
+    } catch (error) {
+      next(error);
+    }
+  }
+];
+
+// Tasks assigned to the current user
+router.get('/mine', listRoute(req => ({ assignee: req.user._id })));
+
+// Overdue tasks: the current user's, or anyone's (optionally one assignee's)
+// for those who manage all tasks
+router.get('/overdue', listRoute(req => {
+  if (!hasPermission(req.user, 'tasks:manage:any')) return { assignee: req.user._id };
+  return req.query.assignee ? { assignee: req.query.assignee } : {};
+}, { status: 'overdue' }));
+
+// Only the creator, the assignee or a task manager may see or change a task
+const loadTask = async (req, res, next) => {
+  try {
+    const task = await Task.findById(req.params.taskId);
+    if (!task) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    const involved = task.createdBy.equals(req.user._id) || task.assignee.equals(req.user._id);
+    if (!involved && !hasPermission(req.user, 'tasks:manage:any')) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    req.task = task;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get single task
+router.get('/:taskId', loadTask, async (req, res, next) => {
+  try {
+    await req.task.populate(TASK_POPULATE);
+    res.json({ task: req.task });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update task
+router.put('/:taskId', loadTask, taskValidators({ partial: true }), async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array().map(err => err.msg)
+      });
+    }
+
+    const fields = pickTaskFields(req.body);
+    await ensureAssigneeExists(fields.assignee);
+
+    const { task } = req;
+    task.set(fields);
+    await task.save();
+    await task.populate(TASK_POPULATE);
+
+    res.json({
+      message: 'Task updated successfully',
+      task
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Complete task; logged as activity on the lead
+router.post('/:taskId/complete', loadTask, async (req, res, next) => {
+  try {
+    const { task } = req;
+    if (task.done) {
+      return res.status(400).json({ error: 'Task is already completed' });
+    }
+
+    await completeTask(task, req.user);
+    await task.populate(TASK_POPULATE);
+
+    res.json({
+      message: 'Task completed successfully',
+      task
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Reopen a completed task
+router.post('/:taskId/reopen', loadTask, async (req, res, next) => {
+  try {
+    const { task } = req;
+    if (!task.done) {
+      return res.status(400).json({ error: 'Task is not completed' });
+    }
+
+    await reopenTask(task);
+    await task.populate(TASK_POPULATE);
+
+    res.json({
+      message: 'Task reopened successfully',
+      task
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete task
+router.delete('/:taskId', loadTask, async (req, res, next) => {
+  try {
+    await req.task.deleteOne();
+
+    res.json({ message: 'Task deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
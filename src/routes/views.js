@@ -0,0 +1,175 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import SavedView from '../models/SavedView.js';
+import { protect } from '../middleware/auth.js';
+import { hasPermission } from '../middleware/permissions.js';
+import { checkSortField, getFilterDefinitions, parseFilters } from '../utils/leadQuery.js';
+import { getCustomFieldDefinitions } from '../utils/customFields.js';
+
+const router = express.Router();
+
+// Apply auth middleware to all routes
+router.use(protect);
+
+// Validation middleware
+const validateView = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('View name is required')
+    .isLength({ max: 100 })
+    .withMessage('View name cannot exceed 100 characters'),
+  body('filters')
+    .optional()
+    .custom(async (filters, { req }) => {
+      if (!filters || typeof filters !== 'object' || Array.isArray(filters)) {
+        throw new Error('filters must be an object');
+      }
+      const definitions = await getFilterDefinitions();
+      try {
+        // With the user, so "me" on createdBy/assignedTo resolves
+        parseFilters(filters, { ...definitions, user: req.user });
+      } catch (error) {
+        throw new Error(error.details ? error.details.join('; ') : error.message);
+      }
+      return true;
+    }),
+  body('search')
+    .optional()
+    .trim(),
+  body('sortBy')
+    .optional()
+    .trim()
+    .custom(async (sortBy) => {
+      checkSortField(sortBy, await getCustomFieldDefinitions());
+      return true;
+    }),
+  body('sortOrder')
+    .optional()
+    .isIn(['asc', 'desc'])
+    .withMessage('Sort order must be asc or desc'),
+  body('columns')
+    .optional()
+    .isArray()
+    .withMessage('columns must be an array of field names'),
+  body('shared')
+    .optional()
+    .isBoolean()
+    .withMessage('shared must be a boolean')
+];
+
+const pickViewFields = ({ name, filters, search, sortBy, sortOrder, columns, shared }) =>
+  Object.fromEntries(
+    Object.entries({ name, filters, search, sortBy, sortOrder, columns, shared })
+      .filter(([, value]) => value !== undefined)
+  );
+
+// Only the owner or an admin may change a view
+const loadOwnView = async (req, res, next) => {
+  try {
+    const view = await SavedView.findById(req.params.id);
+    if (!view) {
+      return res.status(404).json({ error: 'Saved view not found' });
+    }
+
+    if (!view.owner.equals(req.user._id) && !hasPermission(req.user, 'views:manage:any')) {
+      return res.status(403).json({ error: 'You do not have permission to perform this action' });
+    }
+
+    req.view = view;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get my views and views shared with the team
+router.get('/', async (req, res, next) => {
+  try {
+    const views = await SavedView.find(SavedView.visibleTo(req.user))
+      .sort({ name: 1 })
+      .populate('owner', 'firstName lastName email');
+
+    res.json({ views });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get single view
+router.get('/:id', async (req, res, next) => {
+  try {
+    const view = await SavedView.findOne({ _id: req.params.id, ...SavedView.visibleTo(req.user) })
+      .populate('owner', 'firstName lastName email');
+
+    if (!view) {
+      return res.status(404).json({ error: 'Saved view not found' });
+    }
+
+    res.json({ view });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create view
+router.post('/', validateView, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array().map(err => err.msg)
+      });
+    }
+
+    const view = await SavedView.create({
+      ...pickViewFields(req.body),
+      owner: req.user._id
+    });
+
+    res.status(201).json({
+      message: 'View saved successfully',
+      view
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update view
+router.put('/:id', loadOwnView, validateView, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array().map(err => err.msg)
+      });
+    }
+
+    const { view } = req;
+    view.set(pickViewFields(req.body));
+    await view.save();
+
+    res.json({
+      message: 'View updated successfully',
+      view
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete view
+router.delete('/:id', loadOwnView, async (req, res, next) => {
+  try {
+    await req.view.deleteOne();
+
+    res.json({ message: 'View deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
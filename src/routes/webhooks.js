@@ -0,0 +1,241 @@
+import express from 'express';
+import { body, validationResult, query } from 'express-validator';
+import Webhook, { WEBHOOK_EVENTS } from '../models/Webhook.js';
+import WebhookDelivery, { DELIVERY_STATUSES } from '../models/WebhookDelivery.js';
+import { protect, requireLogin } from '../middleware/auth.js';
+import { authorize } from '../middleware/permissions.js';
+import { checkWebhookUrl, replayDelivery } from '../utils/webhooks.js';
+
+const router = express.Router();
+
+// Apply auth middleware to all routes
+router.use(protect);
+router.use(requireLogin);
+router.use(authorize('webhooks:manage'));
+
+// Validation middleware
+const validateWebhook = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Webhook name is required')
+    .isLength({ max: 100 })
+    .withMessage('Webhook name cannot exceed 100 characters'),
+  body('url')
+    .trim()
+    .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+    .withMessage('URL must be a valid http(s) URL')
+    .bail()
+    .custom(async (url) => {
+      const error = await checkWebhookUrl(url);
+      if (error) throw new Error(error);
+      return true;
+    }),
+  body('events')
+    .isArray({ min: 1 })
+    .withMessage('events must be a non-empty array'),
+  body('events.*')
+    .isIn(WEBHOOK_EVENTS)
+    .withMessage(`Events must be one of: ${WEBHOOK_EVENTS.join(', ')}`),
+  body('secret')
+    .optional()
+    .isString()
+    .isLength({ min: 16, max: 200 })
+    .withMessage('Secret must be between 16 and 200 characters'),
+  body('active')
+    .optional()
+    .isBoolean()
+    .withMessage('active must be a boolean')
+];
+
+const pickWebhookFields = ({ name, url, events, secret, active }) =>
+  Object.fromEntries(Object.entries({ name, url, events, secret, active }).filter(([, value]) => value !== undefined));
+
+// Get webhooks
+router.get('/', async (req, res, next) => {
+  try {
+    const webhooks = await Webhook.find()
+      .sort({ createdAt: -1 })
+      .populate('createdBy', 'firstName lastName email');
+
+    res.json({ webhooks, events: WEBHOOK_EVENTS });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get a single delivery, including its payload and every attempt
+router.get('/deliveries/:deliveryId', async (req, res, next) => {
+  try {
+    const delivery = await WebhookDelivery.findById(req.params.deliveryId)
+      .populate('webhook', 'name url');
+
+    if (!delivery) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+
+    res.json({ delivery });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Send a past delivery's payload again
+router.post('/deliveries/:deliveryId/replay', async (req, res, next) => {
+  try {
+    const delivery = await WebhookDelivery.findById(req.params.deliveryId);
+    if (!delivery) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+
+    if (!(await Webhook.exists({ _id: delivery.webhook }))) {
+      return res.status(400).json({ error: 'The webhook for this delivery no longer exists' });
+    }
+
+    const replay = await replayDelivery(delivery);
+
+    res.status(202).json({
+      message: 'Delivery queued for replay',
+      delivery: replay
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get a single webhook
+router.get('/:id', async (req, res, next) => {
+  try {
+    const webhook = await Webhook.findById(req.params.id)
+      .populate('createdBy', 'firstName lastName email');
+
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    res.json({ webhook });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get a webhook's delivery log
+router.get('/:id/deliveries', [
+  query('status').optional().isIn(DELIVERY_STATUSES).withMessage(`Status must be one of: ${DELIVERY_STATUSES.join(', ')}`),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array().map(err => err.msg)
+      });
+    }
+
+    if (!(await Webhook.exists({ _id: req.params.id }))) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const filter = { webhook: req.params.id };
+    if (req.query.status) filter.status = req.query.status;
+
+    const [deliveries, total] = await Promise.all([
+      WebhookDelivery.find(filter, { payload: 0, attemptLog: 0 })
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      WebhookDelivery.countDocuments(filter)
+    ]);
+
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      deliveries,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalDeliveries: total,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1,
+        limit
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create webhook. The secret is only returned here, so receivers can store it
+router.post('/', validateWebhook, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array().map(err => err.msg)
+      });
+    }
+
+    const webhook = await Webhook.create({
+      ...pickWebhookFields(req.body),
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      message: 'Webhook created successfully',
+      webhook: { ...webhook.toJSON(), secret: webhook.secret }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update webhook
+router.put('/:id', validateWebhook, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array().map(err => err.msg)
+      });
+    }
+
+    const webhook = await Webhook.findById(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    webhook.set(pickWebhookFields(req.body));
+    await webhook.save();
+
+    res.json({
+      message: 'Webhook updated successfully',
+      webhook: { ...webhook.toJSON(), secret: undefined }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete webhook along with its delivery log
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const webhook = await Webhook.findByIdAndDelete(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    await WebhookDelivery.deleteMany({ webhook: webhook._id });
+
+    res.json({ message: 'Webhook deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
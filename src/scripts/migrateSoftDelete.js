@@ -0,0 +1,31 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Lead from '../models/Lead.js';
+import { migrateSoftDelete } from '../utils/migrations.js';
+
+dotenv.config();
+
+// Soft delete migration; the server also runs it on startup
+const migrate = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/lead-management');
+    console.log('✅ Connected to MongoDB');
+
+    const { backfilled, droppedIndex } = await migrateSoftDelete();
+    console.log(`🗂️  Backfilled deletedAt on ${backfilled} leads`);
+    if (droppedIndex) {
+      console.log(`🧹 Dropped index ${droppedIndex}`);
+    }
+
+    await Lead.syncIndexes();
+    console.log('📇 Indexes synced');
+
+    console.log('\n🎉 Migration completed successfully!');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error running migration:', error);
+    process.exit(1);
+  }
+};
+
+migrate();
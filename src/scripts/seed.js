@@ -3,6 +3,7 @@ import bcrypt from 'bcryptjs';
 import dotenv from 'dotenv';
 import User from '../models/User.js';
 import Lead from '../models/Lead.js';
+import { activeValues, getPicklist } from '../utils/picklists.js';
 
 dotenv.config();
 
@@ -27,8 +28,9 @@ const seedDatabase = async () => {
     console.log('👤 Created test user');
 
     // Generate 150 dummy leads
-    const sources = ['website', 'facebook_ads', 'google_ads', 'referral', 'events', 'other'];
-    const statuses = ['new', 'contacted', 'qualified', 'lost', 'won'];
+    // Picklists keep whatever admins configured; empty ones get the defaults
+    const sources = activeValues(await getPicklist('source'));
+    const statuses = activeValues(await getPicklist('status'));
     const companies = [
       'TechCorp Inc', 'DataSoft Solutions', 'CloudNext', 'InnovateLab', 'DigitalEdge',
       'SmartSystems', 'FutureWorks', 'TechVision', 'CodeCraft', 'WebFlow Co',
@@ -74,7 +76,6 @@ const seedDatabase = async () => {
       const status = statuses[Math.floor(Math.random() * statuses.length)];
       const score = Math.floor(Math.random() * 101);
       const leadValue = Math.floor(Math.random() * 100000) + 1000;
-      const isQualified = Math.random() > 0.7; // 30% qualified
       
       // Random date within last 6 months
       const sixMonthsAgo = new Date();
@@ -99,7 +100,6 @@ const seedDatabase = async () => {
         score,
         leadValue,
         lastActivityAt,
-        isQualified,
         createdBy: testUser._id,
         createdAt,
         updatedAt: createdAt
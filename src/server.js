@@ -7,29 +7,68 @@ import dotenv from 'dotenv';
 
 import authRoutes from './routes/auth.js';
 import leadRoutes from './routes/leads.js';
+import scoringRoutes from './routes/scoring.js';
+import viewRoutes from './routes/views.js';
+import auditRoutes from './routes/audit.js';
+import webhookRoutes from './routes/webhooks.js';
+import formRoutes from './routes/forms.js';
+import assignmentRoutes from './routes/assignment.js';
+import taskRoutes from './routes/tasks.js';
+import customFieldRoutes from './routes/customFields.js';
+import picklistRoutes from './routes/picklists.js';
+import captureRoutes from './routes/capture.js';
 import { errorHandler } from './middleware/errorHandler.js';
+import { requestContext } from './utils/requestContext.js';
+import { startWebhookWorker } from './utils/webhooks.js';
+import { startTaskScheduler } from './utils/tasks.js';
+import { startScoreScheduler } from './utils/scoring.js';
+import { backfillDedupeKeys, migrateSoftDelete } from './utils/migrations.js';
 
 dotenv.config();
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Behind a load balancer req.ip would be the proxy's address, which would put
+// every client in one rate limit bucket. TRUST_PROXY is the number of proxy hops.
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
+
 // Database connection
 mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/lead-management')
-  .then(() => console.log('✅ Connected to MongoDB'))
+  .then(async () => {
+    console.log('✅ Connected to MongoDB');
+    const { backfilled, droppedIndex } = await migrateSoftDelete();
+    if (backfilled || droppedIndex) {
+      console.log(`🗂️  Soft delete migration: backfilled ${backfilled} leads${droppedIndex ? `, replaced index ${droppedIndex}` : ''}`);
+    }
+    const dedupe = await backfillDedupeKeys();
+    if (dedupe.backfilled) {
+      console.log(`🔑 Backfilled dedupe keys on ${dedupe.backfilled} leads`);
+    }
+    startWebhookWorker();
+    startTaskScheduler();
+    startScoreScheduler();
+  })
   .catch(err => console.error('❌ MongoDB connection error:', err));
 
 // Middleware
 app.use(morgan('combined'));
 app.use(express.json({ limit: '10mb' }));
 app.use(cookieParser());
+app.use(requestContext);
+
+// Public form capture checks origins per form key, so it sits before the app-wide CORS config
+app.use('/api/capture', captureRoutes);
 
 // CORS configuration
 app.use(cors({
   origin: process.env.FRONTEND_URL || 'http://localhost:5173',
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization'],
+  exposedHeaders: ['Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset']
 }));
 
 // Health check endpoint
@@ -40,6 +79,15 @@ app.get('/api/health', (req, res) => {
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/leads', leadRoutes);
+app.use('/api/scoring', scoringRoutes);
+app.use('/api/views', viewRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/forms', formRoutes);
+app.use('/api/assignment', assignmentRoutes);
+app.use('/api/tasks', taskRoutes);
+app.use('/api/custom-fields', customFieldRoutes);
+app.use('/api/picklists', picklistRoutes);
 
 // Error handling middleware
 app.use(errorHandler);
@@ -0,0 +1,51 @@
+import UserToken from '../models/UserToken.js';
+import { sendMail } from './mailer.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const VERIFY_EMAIL_TTL_MS = 48 * HOUR_MS;
+const RESET_PASSWORD_TTL_MS = HOUR_MS;
+
+// Links point at the frontend, which posts the token back to the API
+const frontendLink = (pathname, token) => {
+  const url = new URL(pathname, process.env.FRONTEND_URL || 'http://localhost:5173');
+  url.searchParams.set('token', token);
+  return url.toString();
+};
+
+export const sendVerificationEmail = async (user) => {
+  const token = await UserToken.issue(user._id, 'verify_email', VERIFY_EMAIL_TTL_MS);
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Hi ${user.firstName},\n\n` +
+      `Please confirm your email address by opening this link:\n${frontendLink('/verify-email', token)}\n\n` +
+      'The link expires in 48 hours.'
+  });
+};
+
+export const sendPasswordResetEmail = async (user) => {
+  const token = await UserToken.issue(user._id, 'reset_password', RESET_PASSWORD_TTL_MS);
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Hi ${user.firstName},\n\n` +
+      `Someone asked to reset the password for your account. To choose a new one, open this link:\n` +
+      `${frontendLink('/reset-password', token)}\n\n` +
+      'The link expires in 1 hour and can be used once. If this wasn\'t you, you can ignore this email.'
+  });
+};
+
+export const sendPasswordChangedEmail = async (user) => {
+  await sendMail({
+    to: user.email,
+    subject: 'Your password was changed',
+    text: `Hi ${user.firstName},\n\n` +
+      'The password for your account was just changed and your other sessions were signed out. ' +
+      'If this wasn\'t you, reset your password right away.'
+  });
+};
+
+// Account mail is best effort; a mail outage shouldn't fail the request
+export const sendInBackground = (send, user) => {
+  send(user).catch(error => console.error(`Error sending mail to ${user.email}:`, error));
+};
@@ -0,0 +1,104 @@
+import mongoose from 'mongoose';
+import Lead from '../models/Lead.js';
+import User from '../models/User.js';
+import AssignmentRule from '../models/AssignmentRule.js';
+import { matchesRule } from './scoring.js';
+import { getClosedStatuses } from './picklists.js';
+
+const sameUser = (a, b) => String(a ?? null) === String(b ?? null);
+
+// Point a lead document at a new owner, recording who did it and why.
+// `by` is the acting user (null for rules). Returns false if nothing changed.
+export const assignLead = (lead, to, { by = null, rule = null } = {}) => {
+  if (sameUser(lead.assignedTo?._id ?? lead.assignedTo, to)) return false;
+
+  lead.assignmentHistory.push({
+    from: lead.assignedTo?._id ?? lead.assignedTo ?? null,
+    to: to || null,
+    assignedBy: by?._id || null,
+    rule: rule?._id || null,
+    assignedAt: new Date()
+  });
+  lead.assignedTo = to || null;
+  return true;
+};
+
+// $push entry for query updates that reassign many leads at once
+export const assignmentHistoryEntry = (from, to, by) => ({
+  from: from || null,
+  to: to ? new mongoose.Types.ObjectId(String(to)) : null,
+  assignedBy: by?._id || null,
+  rule: null,
+  assignedAt: new Date()
+});
+
+export const getActiveAssignmentRules = () =>
+  AssignmentRule.find({ active: true }).sort({ priority: 1, createdAt: 1 }).lean();
+
+const matchesAssignmentRule = (rule, lead) =>
+  rule.conditions.every(condition => matchesRule(condition, lead));
+
+// Open leads per user, for load balancing. Won and lost leads no longer
+// count towards a rep's workload.
+const countOpenLeads = async (userIds) => {
+  const counts = await Lead.aggregate([
+    { $match: { assignedTo: { $in: userIds }, status: { $nin: await getClosedStatuses() } } },
+    { $group: { _id: '$assignedTo', count: { $sum: 1 } } }
+  ]);
+  return new Map(counts.map(({ _id, count }) => [String(_id), count]));
+};
+
+// Returns a function that assigns unowned lead documents by the active rules.
+// Made once per request so bulk imports share rules, eligible users and
+// workload counts instead of querying them for every lead.
+export const createLeadAssigner = async () => {
+  const rules = await getActiveAssignmentRules();
+  if (!rules.length) return async () => null;
+
+  // Assignees that were deleted since the rule was written are skipped
+  const assigneeIds = [...new Set(rules.flatMap(rule => rule.assignees.map(String)))];
+  const existing = new Set((await User.find({ _id: { $in: assigneeIds } }, '_id')).map(user => String(user._id)));
+  const eligibleFor = rule => rule.assignees.filter(id => existing.has(String(id)));
+
+  let loads = null;
+
+  const pickAssignee = async (rule, eligible) => {
+    if (rule.strategy === 'load_balanced') {
+      loads = loads || await countOpenLeads([...existing].map(id => new mongoose.Types.ObjectId(id)));
+      // Fewest open leads wins; ties go to the earlier assignee in the rule
+      const chosen = eligible.reduce((best, id) =>
+        (loads.get(String(id)) || 0) < (loads.get(String(best)) || 0) ? id : best);
+      loads.set(String(chosen), (loads.get(String(chosen)) || 0) + 1);
+      return chosen;
+    }
+
+    // Round robin: the cursor is advanced atomically so parallel requests
+    // don't hand out the same slot
+    const current = await AssignmentRule.findOneAndUpdate(
+      { _id: rule._id },
+      { $inc: { roundRobinCursor: 1 } }
+    ).lean();
+    return eligible[(current?.roundRobinCursor || 0) % eligible.length];
+  };
+
+  return async (lead) => {
+    if (lead.assignedTo) return null;
+
+    for (const rule of rules) {
+      if (!matchesAssignmentRule(rule, lead)) continue;
+      const eligible = eligibleFor(rule);
+      if (!eligible.length) continue;
+
+      const assignee = await pickAssignee(rule, eligible);
+      assignLead(lead, assignee, { rule });
+      return rule;
+    }
+    return null;
+  };
+};
+
+// Assign a single new lead document, if a rule matches
+export const autoAssignLead = async (lead) => {
+  const assign = await createLeadAssigner();
+  return assign(lead);
+};
@@ -0,0 +1,57 @@
+import { query } from 'express-validator';
+import AuditLog, { AUDIT_ACTIONS } from '../models/AuditLog.js';
+import { getRequestContext } from './requestContext.js';
+
+// Write audit entries in one round trip, attributed to the current request.
+// Errors are logged rather than thrown so a failed audit write never fails
+// the change itself.
+export const writeAuditEntries = async (entries) => {
+  if (!entries.length) return;
+
+  const { user, ip, userAgent } = getRequestContext();
+  try {
+    await AuditLog.insertMany(entries.map(entry => ({
+      actor: user?._id || null,
+      ip: ip || null,
+      userAgent: userAgent || null,
+      ...entry
+    })), { ordered: false });
+  } catch (error) {
+    console.error('Error writing audit log:', error);
+  }
+};
+
+// Validation for audit log listings
+export const validateAuditQuery = [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('action').optional().isIn(AUDIT_ACTIONS).withMessage(`Action must be one of: ${AUDIT_ACTIONS.join(', ')}`),
+  query('from').optional().isISO8601().withMessage('from must be a valid date'),
+  query('to').optional().isISO8601().withMessage('to must be a valid date')
+];
+
+// Fetch a page of audit entries matching the filter
+export const findAuditLogs = async (filter, { page, limit }) => {
+  const [entries, total] = await Promise.all([
+    AuditLog.find(filter)
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('actor', 'firstName lastName email'),
+    AuditLog.countDocuments(filter)
+  ]);
+
+  const totalPages = Math.ceil(total / limit);
+
+  return {
+    entries,
+    pagination: {
+      currentPage: page,
+      totalPages,
+      totalEntries: total,
+      hasNextPage: page < totalPages,
+      hasPrevPage: page > 1,
+      limit
+    }
+  };
+};
@@ -0,0 +1,118 @@
+import mongoose from 'mongoose';
+
+// Keyset pagination for lead lists. Cursors are opaque base64url tokens that
+// hold the sort key and _id of the boundary row plus the direction to read.
+// The sort is always tie-broken by _id so every row has a unique position.
+
+const invalidCursor = () => Object.assign(new Error('Invalid cursor'), { status: 400 });
+
+const encodeValue = (value) => {
+  if (value instanceof Date) return { $date: value.toISOString() };
+  if (value instanceof mongoose.Types.ObjectId) return { $oid: String(value) };
+  return value ?? null;
+};
+
+const decodeValue = (value) => {
+  if (value && typeof value === 'object') {
+    if (value.$date) return new Date(value.$date);
+    if (value.$oid) return new mongoose.Types.ObjectId(value.$oid);
+  }
+  return value;
+};
+
+// Read the sort key from a document, using the raw id for populated refs
+const sortValue = (doc, sortBy) => {
+  const value = doc.populated?.(sortBy) ?? (doc.get ? doc.get(sortBy) : doc[sortBy]);
+  return value instanceof mongoose.Types.ObjectId || value instanceof Date ? value : value ?? null;
+};
+
+export const encodeCursor = (doc, { sortBy, sortOrder }, direction) =>
+  Buffer.from(JSON.stringify({
+    s: sortBy,
+    o: sortOrder,
+    d: direction,
+    v: encodeValue(sortValue(doc, sortBy)),
+    id: String(doc._id)
+  })).toString('base64url');
+
+export const decodeCursor = (token, { sortBy, sortOrder }) => {
+  let cursor;
+  try {
+    cursor = JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw invalidCursor();
+  }
+
+  if (!cursor || !['next', 'prev'].includes(cursor.d) || !mongoose.isValidObjectId(cursor.id)) {
+    throw invalidCursor();
+  }
+  if (cursor.s !== sortBy || cursor.o !== sortOrder) {
+    throw Object.assign(new Error('Cursor does not match the requested sort'), { status: 400 });
+  }
+
+  return {
+    direction: cursor.d,
+    value: decodeValue(cursor.v),
+    id: new mongoose.Types.ObjectId(cursor.id)
+  };
+};
+
+// Condition selecting rows strictly after (value, id) when reading in `order`.
+// Nulls sort before every other value in Mongo, so they need their own branches.
+const afterCondition = (field, value, id, order) => {
+  const idCondition = { _id: { [order === 1 ? '$gt' : '$lt']: id } };
+
+  if (value === null) {
+    return order === 1
+      ? { $or: [{ [field]: { $ne: null } }, { [field]: null, ...idCondition }] }
+      : { [field]: null, ...idCondition };
+  }
+
+  const branches = [
+    { [field]: { [order === 1 ? '$gt' : '$lt']: value } },
+    { [field]: value, ...idCondition }
+  ];
+  if (order === -1) branches.push({ [field]: null });
+  return { $or: branches };
+};
+
+// Build the query and sort for one page. Reading backwards flips the sort;
+// buildCursorResult puts the rows back into display order.
+export const buildCursorPage = (query, { sortBy, sortOrder }, cursor) => {
+  const order = sortOrder === 'asc' ? 1 : -1;
+
+  if (!cursor) {
+    return { query, sort: { [sortBy]: order, _id: order } };
+  }
+
+  const readOrder = cursor.direction === 'prev' ? -order : order;
+  const keyset = afterCondition(sortBy, cursor.value, cursor.id, readOrder);
+
+  return {
+    query: Object.keys(query).length ? { $and: [query, keyset] } : keyset,
+    sort: { [sortBy]: readOrder, _id: readOrder }
+  };
+};
+
+// Turn the limit + 1 rows read for a page into the page and its cursors
+export const buildCursorResult = (rows, limit, sortSpec, cursor) => {
+  const hasMore = rows.length > limit;
+  const page = rows.slice(0, limit);
+
+  const readingBack = cursor?.direction === 'prev';
+  if (readingBack) page.reverse();
+
+  const first = page[0];
+  const last = page[page.length - 1];
+
+  const hasNextPage = readingBack ? Boolean(cursor) : hasMore;
+  const hasPrevPage = readingBack ? hasMore : Boolean(cursor);
+
+  return {
+    items: page,
+    hasNextPage: hasNextPage && Boolean(last),
+    hasPrevPage: hasPrevPage && Boolean(first),
+    nextCursor: hasNextPage && last ? encodeCursor(last, sortSpec, 'next') : null,
+    prevCursor: hasPrevPage && first ? encodeCursor(first, sortSpec, 'prev') : null
+  };
+};
@@ -0,0 +1,130 @@
+import CustomField from '../models/CustomField.js';
+
+// Tags are free-form labels, stored lowercased so "VIP" and "vip" are one tag.
+// Custom field values live in lead.customFields, keyed by definition key.
+
+export const CUSTOM_FIELD_PREFIX = 'customFields.';
+
+export const MAX_TAGS = 30;
+export const MAX_TAG_LENGTH = 50;
+const MAX_TEXT_LENGTH = 1000;
+
+export const normalizeTag = tag => String(tag).trim().toLowerCase().replace(/\s+/g, ' ');
+
+export const normalizeTags = tags => [...new Set(tags.map(normalizeTag).filter(Boolean))];
+
+// All definitions, active or not: inactive fields can't be set but their
+// stored values can still be filtered, sorted and exported
+export const getCustomFieldDefinitions = () =>
+  CustomField.find().sort({ order: 1, createdAt: 1 }).lean();
+
+// Definition for a "customFields.<key>" path, if there is one
+export const findCustomFieldByPath = (path, definitions = []) =>
+  (String(path).startsWith(CUSTOM_FIELD_PREFIX)
+    ? definitions.find(definition => `${CUSTOM_FIELD_PREFIX}${definition.key}` === path)
+    : undefined);
+
+const isBlank = value => value === null || value === undefined || value === '' ||
+  (Array.isArray(value) && !value.length);
+
+// Convert one submitted value to its stored form, or return an error message
+const coerceCustomValue = (definition, value) => {
+  const { label, type, options } = definition;
+
+  switch (type) {
+    case 'number': {
+      const number = Number(value);
+      if (typeof value === 'boolean' || Number.isNaN(number)) return { error: `${label} must be a number` };
+      return { value: number };
+    }
+    case 'date': {
+      const date = new Date(value);
+      if (typeof value === 'boolean' || Number.isNaN(date.getTime())) return { error: `${label} must be a valid date` };
+      return { value: date };
+    }
+    case 'select':
+      if (!options.includes(value)) return { error: `${label} must be one of: ${options.join(', ')}` };
+      return { value };
+    case 'multiselect': {
+      const values = Array.isArray(value) ? value : [value];
+      const invalid = values.filter(item => !options.includes(item));
+      if (invalid.length) return { error: `${label} must only contain: ${options.join(', ')}` };
+      return { value: [...new Set(values)] };
+    }
+    default:
+      if (typeof value !== 'string' && typeof value !== 'number') return { error: `${label} must be text` };
+      if (String(value).length > MAX_TEXT_LENGTH) return { error: `${label} cannot exceed ${MAX_TEXT_LENGTH} characters` };
+      return { value: String(value).trim() };
+  }
+};
+
+// Check submitted custom field values against the definitions. Only the keys
+// sent are validated and changed; null or an empty value clears a field.
+// Required fields must be present on new leads and can never be cleared.
+// Returns the values to store (null meaning "remove") and any error messages.
+export const validateCustomFields = (submitted = {}, definitions, { isNew = false } = {}) => {
+  const errors = [];
+  const values = {};
+
+  if (!submitted || typeof submitted !== 'object' || Array.isArray(submitted)) {
+    return { values, errors: ['customFields must be an object'] };
+  }
+
+  const byKey = new Map(definitions.map(definition => [definition.key, definition]));
+
+  Object.entries(submitted).forEach(([key, value]) => {
+    const definition = byKey.get(key);
+    if (!definition) {
+      errors.push(`Unknown custom field: ${key}`);
+      return;
+    }
+    if (!definition.active) {
+      errors.push(`Custom field ${definition.label} is no longer in use`);
+      return;
+    }
+
+    if (isBlank(value)) {
+      if (definition.required) errors.push(`${definition.label} is required`);
+      else values[key] = null;
+      return;
+    }
+
+    const result = coerceCustomValue(definition, value);
+    if (result.error) errors.push(result.error);
+    else values[key] = result.value;
+  });
+
+  if (isNew) {
+    definitions
+      .filter(definition => definition.active && definition.required && !(definition.key in submitted))
+      .forEach(definition => errors.push(`${definition.label} is required`));
+  }
+
+  return { values, errors };
+};
+
+// Merge validated values into a lead document
+export const applyCustomFields = (lead, values) => {
+  if (!Object.keys(values).length) return;
+
+  const merged = { ...(lead.customFields || {}) };
+  Object.entries(values).forEach(([key, value]) => {
+    if (value === null) delete merged[key];
+    else merged[key] = value;
+  });
+  lead.customFields = merged;
+  lead.markModified('customFields');
+};
+
+// Validate the custom fields in a create/update body and apply them to the
+// lead, throwing a 400 listing every problem
+export const setLeadCustomFields = async (lead, submitted, { isNew = false } = {}) => {
+  if (submitted === undefined && !isNew) return;
+
+  const definitions = await getCustomFieldDefinitions();
+  const { values, errors } = validateCustomFields(submitted, definitions, { isNew });
+  if (errors.length) {
+    throw Object.assign(new Error('Validation failed'), { status: 400, details: errors });
+  }
+  applyCustomFields(lead, values);
+};
@@ -0,0 +1,102 @@
+// Duplicate lead detection: normalization, blocking keys and pair scoring
+
+// Webmail domains say nothing about whether two leads share an employer
+const FREE_EMAIL_DOMAINS = [
+  'gmail.com', 'googlemail.com', 'yahoo.com', 'hotmail.com', 'outlook.com',
+  'live.com', 'aol.com', 'icloud.com', 'me.com', 'protonmail.com', 'example.com'
+];
+
+const COMPANY_SUFFIXES = /\b(inc|incorporated|llc|ltd|limited|corp|corporation|co|company|plc|gmbh|group)\b/g;
+
+// How much each signal contributes to the duplicate score (sums to 1)
+const WEIGHTS = { name: 0.35, company: 0.25, phone: 0.25, emailDomain: 0.15 };
+
+export const DEFAULT_DUPLICATE_THRESHOLD = 0.5;
+
+export const normalizeName = (name) =>
+  (name || '').toLowerCase().normalize('NFKD').replace(/[^a-z]/g, '');
+
+export const normalizeCompany = (company) =>
+  (company || '').toLowerCase().replace(/[^a-z0-9\s]/g, ' ').replace(COMPANY_SUFFIXES, ' ').replace(/\s+/g, '');
+
+// Compare on the last 10 digits so "+1 555..." and "555..." match
+export const normalizePhone = (phone) => (phone || '').replace(/\D/g, '').slice(-10);
+
+export const emailDomain = (email) => {
+  const domain = (email || '').toLowerCase().split('@')[1] || '';
+  return domain && !FREE_EMAIL_DOMAINS.includes(domain) ? domain : null;
+};
+
+// Stored on each lead so candidates can be found with indexed lookups
+export const buildDedupeKeys = (lead) => ({
+  lastName: normalizeName(lead.lastName) || null,
+  company: normalizeCompany(lead.company) || null,
+  phone: normalizePhone(lead.phone) || null,
+  emailDomain: emailDomain(lead.email)
+});
+
+// Jaro-Winkler similarity between two strings (0 - 1)
+export const jaroWinkler = (a, b) => {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+
+  const range = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+  const aMatches = new Array(a.length).fill(false);
+  const bMatches = new Array(b.length).fill(false);
+  let matches = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    const start = Math.max(0, i - range);
+    const end = Math.min(i + range + 1, b.length);
+    for (let j = start; j < end; j++) {
+      if (bMatches[j] || a[i] !== b[j]) continue;
+      aMatches[i] = bMatches[j] = true;
+      matches++;
+      break;
+    }
+  }
+  if (!matches) return 0;
+
+  let transpositions = 0;
+  for (let i = 0, j = 0; i < a.length; i++) {
+    if (!aMatches[i]) continue;
+    while (!bMatches[j]) j++;
+    if (a[i] !== b[j]) transpositions++;
+    j++;
+  }
+
+  const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+
+  let prefix = 0;
+  while (prefix < Math.min(4, a.length, b.length) && a[prefix] === b[prefix]) prefix++;
+
+  return jaro + prefix * 0.1 * (1 - jaro);
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Score how likely two leads are the same person, with a per-signal breakdown
+export const scoreDuplicatePair = (a, b) => {
+  const firstName = jaroWinkler(normalizeName(a.firstName), normalizeName(b.firstName));
+  const lastName = jaroWinkler(normalizeName(a.lastName), normalizeName(b.lastName));
+
+  // Names only count when both parts are close, so "Jane Smith" and
+  // "John Smith" at the same company are not flagged
+  const name = firstName >= 0.85 && lastName >= 0.9 ? (firstName + lastName) / 2 : 0;
+
+  const companyA = normalizeCompany(a.company);
+  const companyB = normalizeCompany(b.company);
+  const companySimilarity = jaroWinkler(companyA, companyB);
+  const company = companySimilarity >= 0.9 ? companySimilarity : 0;
+
+  const phoneA = normalizePhone(a.phone);
+  const phone = phoneA && phoneA === normalizePhone(b.phone) ? 1 : 0;
+
+  const domainA = emailDomain(a.email);
+  const domain = domainA && domainA === emailDomain(b.email) ? 1 : 0;
+
+  const signals = { name: round(name), company: round(company), phone, emailDomain: domain };
+  const score = Object.entries(WEIGHTS).reduce((sum, [key, weight]) => sum + signals[key] * weight, 0);
+
+  return { score: round(score), signals };
+};
@@ -0,0 +1,347 @@
+import mongoose from 'mongoose';
+import { resolveDate, resolveDateRange } from './relativeDates.js';
+import { findCustomFieldByPath, normalizeTag } from './customFields.js';
+
+// Filter language for leads.
+//
+// A filter is either a condition or a group:
+//   { field: 'state', operator: 'equals', value: 'TX' }
+//   { and: [ ...filters ] }   { or: [ ...filters ] }   { not: filter }
+//
+// The original flat format is still accepted and treated as an AND group:
+//   { state: { operator: 'equals', value: 'TX' }, score: { operator: 'gt', value: 50 } }
+//
+// Date values may be relative ("last 30 days", "this_month"), resolved
+// against the current time on every query.
+//
+// Admin-defined custom fields are filtered as "customFields.<key>" when their
+// definitions are passed in `context.customFields`. With `context.picklists`,
+// source and status values are checked against their picklists.
+
+// Filterable lead fields and their value type
+export const FILTER_FIELDS = {
+  firstName: 'string',
+  lastName: 'string',
+  email: 'string',
+  phone: 'string',
+  company: 'string',
+  city: 'string',
+  state: 'string',
+  source: 'enum',
+  status: 'enum',
+  score: 'number',
+  leadValue: 'number',
+  createdAt: 'date',
+  updatedAt: 'date',
+  lastActivityAt: 'date',
+  isQualified: 'boolean',
+  createdBy: 'user',
+  assignedTo: 'user',
+  tags: 'tags'
+};
+
+// Filter value type for each custom field type
+export const CUSTOM_FIELD_FILTER_TYPES = {
+  text: 'string',
+  number: 'number',
+  date: 'date',
+  select: 'enum',
+  multiselect: 'list'
+};
+
+const LIST_OPERATORS = ['includes', 'excludes', 'includes_any', 'includes_all', 'includes_none', 'is_empty', 'is_not_empty'];
+
+// Operators supported for each value type
+export const FILTER_OPERATORS = {
+  string: ['equals', 'not_equals', 'contains', 'not_contains', 'starts_with', 'ends_with', 'in', 'not_in', 'is_empty', 'is_not_empty'],
+  enum: ['equals', 'not_equals', 'in', 'not_in'],
+  number: ['equals', 'not_equals', 'gt', 'gte', 'lt', 'lte', 'between', 'is_empty', 'is_not_empty'],
+  date: ['on', 'before', 'after', 'between', 'within', 'is_empty', 'is_not_empty'],
+  boolean: ['equals'],
+  user: ['equals', 'not_equals', 'in', 'not_in', 'is_empty', 'is_not_empty'],
+  // Array fields; tags are compared lowercased
+  list: LIST_OPERATORS,
+  tags: LIST_OPERATORS
+};
+
+const MAX_DEPTH = 5;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const VALUELESS_OPERATORS = ['is_empty', 'is_not_empty'];
+
+export const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Resolve an absolute or relative date; `edge` picks the start or end of a relative range
+const coerceDate = (value, edge, label, errors) => {
+  const date = resolveDate(value, edge);
+  if (Number.isNaN(date.getTime())) {
+    errors.push(`${label} must be a valid date or relative date`);
+    return null;
+  }
+  return date;
+};
+
+// Convert a raw value to the field's type, recording an error if it doesn't fit
+const coerceValue = (type, value, context, label, errors) => {
+  switch (type) {
+    case 'number': {
+      const number = Number(value);
+      if (value === null || value === '' || typeof value === 'boolean' || Number.isNaN(number)) {
+        errors.push(`${label} must be a number`);
+        return null;
+      }
+      return number;
+    }
+    case 'date':
+      return coerceDate(value, 'start', label, errors);
+    case 'user': {
+      if (value === 'me' && context.user) return context.user._id;
+      if (!mongoose.isValidObjectId(value)) {
+        errors.push(`${label} must be a user ID or "me"`);
+        return null;
+      }
+      return new mongoose.Types.ObjectId(String(value));
+    }
+    case 'tags':
+      if (typeof value !== 'string') {
+        errors.push(`${label} must be a string`);
+        return null;
+      }
+      return normalizeTag(value);
+    case 'boolean':
+      if (value === true || value === 'true') return true;
+      if (value === false || value === 'false') return false;
+      errors.push(`${label} must be a boolean`);
+      return null;
+    default:
+      if (typeof value !== 'string' && typeof value !== 'number') {
+        errors.push(`${label} must be a string`);
+        return null;
+      }
+      return String(value);
+  }
+};
+
+const coerceList = (type, value, context, label, errors) => {
+  if (!Array.isArray(value) || !value.length) {
+    errors.push(`${label} must be a non-empty array`);
+    return null;
+  }
+  return value.map((item, index) => coerceValue(type, item, context, `${label}[${index}]`, errors));
+};
+
+// Value type of a built-in or custom field, undefined if unknown
+const fieldType = (field, context) => {
+  if (Object.hasOwn(FILTER_FIELDS, field)) return FILTER_FIELDS[field];
+  const definition = findCustomFieldByPath(field, context.customFields);
+  return definition && CUSTOM_FIELD_FILTER_TYPES[definition.type];
+};
+
+const buildCondition = (condition, path, context, errors) => {
+  const { field, operator, value, value2 } = condition;
+  const type = fieldType(field, context);
+  const isList = type === 'list' || type === 'tags';
+
+  if (!type) {
+    errors.push(`${path}: unknown field "${field}"`);
+    return null;
+  }
+  if (!FILTER_OPERATORS[type].includes(operator)) {
+    errors.push(`${path}: unknown operator "${operator}" for ${field}. Allowed: ${FILTER_OPERATORS[type].join(', ')}`);
+    return null;
+  }
+  if (!VALUELESS_OPERATORS.includes(operator) && (value === undefined || value === null)) {
+    errors.push(`${path}: value is required for "${operator}"`);
+    return null;
+  }
+
+  // Catch values that were renamed or never existed instead of matching nothing
+  const picklist = context.picklists?.[field];
+  if (picklist && value !== undefined && value !== null) {
+    const unknown = [value].flat().filter(item => !picklist.some(entry => entry.value === item));
+    if (unknown.length) {
+      errors.push(`${path}: unknown ${field} ${unknown.map(item => `"${item}"`).join(', ')}`);
+      return null;
+    }
+  }
+
+  const errorCount = errors.length;
+  const label = `${path}.value`;
+  let mongo;
+
+  switch (operator) {
+    case 'is_empty':
+      mongo = { $in: [null, isList ? [] : ''] };
+      break;
+    case 'is_not_empty':
+      mongo = { $nin: [null, isList ? [] : ''] };
+      break;
+    case 'includes':
+      mongo = { $eq: coerceValue(type, value, context, label, errors) };
+      break;
+    case 'excludes':
+      mongo = { $ne: coerceValue(type, value, context, label, errors) };
+      break;
+    case 'includes_any':
+      mongo = { $in: coerceList(type, value, context, label, errors) };
+      break;
+    case 'includes_all':
+      mongo = { $all: coerceList(type, value, context, label, errors) };
+      break;
+    case 'includes_none':
+      mongo = { $nin: coerceList(type, value, context, label, errors) };
+      break;
+    case 'equals':
+      mongo = { $eq: coerceValue(type, value, context, label, errors) };
+      break;
+    case 'not_equals':
+      mongo = { $ne: coerceValue(type, value, context, label, errors) };
+      break;
+    case 'in':
+      mongo = { $in: coerceList(type, value, context, label, errors) };
+      break;
+    case 'not_in':
+      mongo = { $nin: coerceList(type, value, context, label, errors) };
+      break;
+    case 'contains':
+      mongo = { $regex: escapeRegex(coerceValue(type, value, context, label, errors)), $options: 'i' };
+      break;
+    case 'not_contains':
+      mongo = { $not: new RegExp(escapeRegex(coerceValue(type, value, context, label, errors)), 'i') };
+      break;
+    case 'starts_with':
+      mongo = { $regex: `^${escapeRegex(coerceValue(type, value, context, label, errors))}`, $options: 'i' };
+      break;
+    case 'ends_with':
+      mongo = { $regex: `${escapeRegex(coerceValue(type, value, context, label, errors))}$`, $options: 'i' };
+      break;
+    case 'gt':
+    case 'gte':
+    case 'lt':
+    case 'lte':
+      mongo = { [`$${operator}`]: coerceValue(type, value, context, label, errors) };
+      break;
+    case 'between':
+      if (value2 === undefined || value2 === null) {
+        errors.push(`${path}: value2 is required for "between"`);
+        break;
+      }
+      mongo = {
+        $gte: coerceValue(type, value, context, label, errors),
+        $lte: type === 'date'
+          ? coerceDate(value2, 'end', `${path}.value2`, errors)
+          : coerceValue(type, value2, context, `${path}.value2`, errors)
+      };
+      break;
+    case 'on':
+    case 'within': {
+      const range = resolveDateRange(value);
+      if (range) {
+        mongo = { $gte: range.start, $lt: range.end };
+      } else if (operator === 'on') {
+        const date = coerceValue(type, value, context, label, errors);
+        mongo = date && { $gte: date, $lt: new Date(date.getTime() + DAY_MS) };
+      } else {
+        errors.push(`${label} must be a relative date range such as "last 30 days" or "this_month"`);
+      }
+      break;
+    }
+    case 'before':
+      mongo = { $lt: coerceValue(type, value, context, label, errors) };
+      break;
+    case 'after':
+      mongo = { $gt: coerceDate(value, 'end', label, errors) };
+      break;
+  }
+
+  if (errors.length > errorCount || !mongo) return null;
+  return { [field]: mongo };
+};
+
+const combine = (operator, queries) => {
+  const parts = queries.filter(query => query && Object.keys(query).length);
+  if (!parts.length) return {};
+  if (parts.length === 1 && operator === '$and') return parts[0];
+  return { [operator]: parts };
+};
+
+const buildNode = (node, path, depth, context, errors) => {
+  if (depth > MAX_DEPTH) {
+    errors.push(`${path}: groups cannot be nested more than ${MAX_DEPTH} levels deep`);
+    return null;
+  }
+  if (Array.isArray(node)) {
+    return combine('$and', node.map((child, index) => buildNode(child, `${path}[${index}]`, depth + 1, context, errors)));
+  }
+  if (!node || typeof node !== 'object') {
+    errors.push(`${path}: must be an object`);
+    return null;
+  }
+
+  const groupKeys = ['and', 'or', 'not'].filter(key => key in node);
+  if (groupKeys.length > 1 || (groupKeys.length && 'field' in node)) {
+    errors.push(`${path}: a filter must be exactly one of a condition, "and", "or" or "not"`);
+    return null;
+  }
+
+  if (node.and !== undefined || node.or !== undefined) {
+    const key = node.and !== undefined ? 'and' : 'or';
+    const children = node[key];
+    if (!Array.isArray(children) || !children.length) {
+      errors.push(`${path}.${key}: must be a non-empty array`);
+      return null;
+    }
+    return combine(`$${key}`, children.map((child, index) =>
+      buildNode(child, `${path}.${key}[${index}]`, depth + 1, context, errors)));
+  }
+
+  if (node.not !== undefined) {
+    const inner = buildNode(node.not, `${path}.not`, depth + 1, context, errors);
+    return inner && Object.keys(inner).length ? { $nor: [inner] } : null;
+  }
+
+  if ('field' in node) {
+    return buildCondition(node, path, context, errors);
+  }
+
+  // Flat format: { field: { operator, value, value2 }, ... }
+  return combine('$and', Object.entries(node).map(([field, condition]) => {
+    if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+      errors.push(`${path}.${field}: must be an object with an operator and value`);
+      return null;
+    }
+    return buildCondition({ ...condition, field }, `${path}.${field}`, context, errors);
+  }));
+};
+
+// Replace a picklist value in a stored filter definition, e.g. a saved view,
+// after the value was renamed. Returns the updated copy.
+export const renameFilterValue = (node, field, from, to) => {
+  const swap = value => (Array.isArray(value) ? value.map(swap) : value === from ? to : value);
+
+  if (Array.isArray(node)) return node.map(child => renameFilterValue(child, field, from, to));
+  if (!node || typeof node !== 'object') return node;
+  if ('field' in node) return node.field === field ? { ...node, value: swap(node.value) } : node;
+
+  return Object.fromEntries(Object.entries(node).map(([key, child]) => {
+    if (['and', 'or', 'not'].includes(key)) return [key, renameFilterValue(child, field, from, to)];
+    // Flat format: { field: { operator, value } }
+    if (key === field && child && typeof child === 'object') return [key, { ...child, value: swap(child.value) }];
+    return [key, child];
+  }));
+};
+
+// Build a Mongo query from a filter definition. Throws a 400 error listing
+// every unknown field, operator or bad value instead of dropping them.
+// `context.user` resolves the "me" value for createdBy / assignedTo,
+// `context.customFields` holds the custom field definitions and
+// `context.picklists` the source and status picklists.
+export const buildFilterQuery = (filters, context = {}) => {
+  const errors = [];
+  const query = buildNode(filters, 'filters', 0, context, errors);
+
+  if (errors.length) {
+    throw Object.assign(new Error('Invalid filters'), { status: 400, details: errors });
+  }
+
+  return query || {};
+};
@@ -0,0 +1,130 @@
+import { scopeLeadQuery } from '../middleware/permissions.js';
+import { buildFilterQuery, escapeRegex } from './filterQuery.js';
+import { CUSTOM_FIELD_PREFIX, findCustomFieldByPath, getCustomFieldDefinitions } from './customFields.js';
+import { getPicklists } from './picklists.js';
+
+const SEARCH_FIELDS = ['firstName', 'lastName', 'email', 'company', 'city', 'state'];
+
+// Parse the `filters` query param (JSON string or object) into a Mongo query
+export const parseFilters = (raw, context = {}) => {
+  if (!raw) return {};
+
+  let filters;
+  try {
+    filters = typeof raw === 'string' ? JSON.parse(raw) : raw;
+  } catch (error) {
+    throw Object.assign(new Error('Invalid filters format'), { status: 400 });
+  }
+
+  return buildFilterQuery(filters, context);
+};
+
+// Split search text into words, "quoted phrases" and prefix* terms
+export const parseSearch = (search = '') => {
+  const parsed = { words: [], phrases: [], prefixes: [] };
+  const tokens = String(search).match(/"[^"]*"|[^\s"]+/g) || [];
+
+  tokens.forEach(token => {
+    if (token.startsWith('"')) {
+      const phrase = token.slice(1, -1).trim();
+      if (phrase) parsed.phrases.push(phrase);
+    } else if (token.length > 1 && token.endsWith('*')) {
+      parsed.prefixes.push(token.slice(0, -1));
+    } else {
+      parsed.words.push(token.replace(/\*/g, ''));
+    }
+  });
+
+  parsed.words = parsed.words.filter(Boolean);
+  return parsed;
+};
+
+// Whether a search is ranked by the text index (prefix-only searches are not)
+export const isRankedSearch = (search, searchMode = 'text') => {
+  if (!search || searchMode !== 'text') return false;
+  const { words, phrases } = parseSearch(search);
+  return words.length > 0 || phrases.length > 0;
+};
+
+const wordStartMatch = (prefix) => ({
+  $or: SEARCH_FIELDS.map(field => ({ [field]: { $regex: `\\b${escapeRegex(prefix)}`, $options: 'i' } }))
+});
+
+// Full-text search backed by the lead text index. Words and phrases go to
+// $text (ranked by relevance); prefix* terms must match the start of a word.
+export const buildTextSearchQuery = (search) => {
+  const { words, phrases, prefixes } = parseSearch(search);
+  const conditions = prefixes.map(wordStartMatch);
+
+  if (words.length || phrases.length) {
+    const terms = [...words, ...phrases.map(phrase => `"${phrase}"`)];
+    conditions.unshift({ $text: { $search: terms.join(' ') } });
+  }
+
+  if (!conditions.length) return {};
+  return conditions.length === 1 ? conditions[0] : { $and: conditions };
+};
+
+// Case-insensitive substring match across the main lead fields (searchMode=contains)
+export const buildSearchQuery = (search) => ({
+  $or: SEARCH_FIELDS.map(field => ({ [field]: new RegExp(escapeRegex(search), 'i') }))
+});
+
+// Shortcuts for the most common ownership filters
+export const ASSIGNED_SHORTCUTS = ['me', 'unassigned'];
+
+const buildAssignedQuery = (assigned, user) => {
+  if (assigned === 'me') return { assignedTo: user._id };
+  if (assigned === 'unassigned') return { assignedTo: null };
+  return {};
+};
+
+// Custom field definitions and picklists that filters are checked against
+export const getFilterDefinitions = async () => ({
+  customFields: await getCustomFieldDefinitions(),
+  picklists: await getPicklists()
+});
+
+// Build the Mongo query shared by the list and export routes:
+// filters, search, the `assigned` shortcut and the caller's visibility scope.
+// `customFields` and `picklists` come from getFilterDefinitions().
+export const buildLeadQuery = (user, {
+  filters,
+  search,
+  searchMode = 'text',
+  assigned,
+  customFields,
+  picklists
+} = {}) => {
+  const conditions = [parseFilters(filters, { user, customFields, picklists }), buildAssignedQuery(assigned, user)];
+
+  if (search) {
+    conditions.push(searchMode === 'contains' ? buildSearchQuery(search) : buildTextSearchQuery(search));
+  }
+
+  const query = conditions.filter(condition => Object.keys(condition).length);
+  return scopeLeadQuery(user, query.length > 1 ? { $and: query } : query[0] || {});
+};
+
+// Custom fields can only be sorted on once defined. Multi-valued fields have
+// no single position in the order, so they can't back a cursor.
+export const checkSortField = (sortBy, customFields, { cursor = false } = {}) => {
+  if (!sortBy) return;
+
+  const definition = findCustomFieldByPath(sortBy, customFields);
+  if (sortBy.startsWith(CUSTOM_FIELD_PREFIX) && !definition) {
+    throw Object.assign(new Error(`Unknown sort field: ${sortBy}`), { status: 400 });
+  }
+  if (cursor && (sortBy === 'tags' || definition?.type === 'multiselect')) {
+    throw Object.assign(new Error(`Cursor pagination cannot sort by ${sortBy}`), { status: 400 });
+  }
+};
+
+export const buildSort = (sortBy, sortOrder) => ({
+  [sortBy || 'createdAt']: sortOrder === 'asc' ? 1 : -1
+});
+
+// Relevance sort and score projection for ranked text searches
+const TEXT_SCORE = { $meta: 'textScore' };
+export const RELEVANCE_SORT = { searchScore: TEXT_SCORE, _id: 1 };
+export const SEARCH_SCORE_PROJECTION = { searchScore: TEXT_SCORE };
@@ -0,0 +1,43 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// Outgoing mail goes through a transport with a single method:
+//   send({ from, to, subject, text }) -> Promise
+//
+// MAIL_TRANSPORT picks a built-in one ("console" by default, or "file", which
+// writes each message to MAIL_DIR). Anything else, such as an SMTP or API
+// client, can be plugged in with setMailTransport().
+
+export const consoleTransport = {
+  async send(message) {
+    console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+  }
+};
+
+export const createFileTransport = (dir) => ({
+  async send(message) {
+    await fs.mkdir(dir, { recursive: true });
+    const name = `${Date.now()}-${message.to.replace(/[^\w.@-]/g, '_')}.json`;
+    await fs.writeFile(path.join(dir, name), JSON.stringify({ ...message, sentAt: new Date() }, null, 2));
+  }
+});
+
+let transport = null;
+
+const defaultTransport = () => (process.env.MAIL_TRANSPORT === 'file'
+  ? createFileTransport(process.env.MAIL_DIR || 'mail')
+  : consoleTransport);
+
+export const setMailTransport = (custom) => {
+  transport = custom;
+};
+
+export const sendMail = async ({ to, subject, text }) => {
+  transport = transport || defaultTransport();
+  await transport.send({
+    from: process.env.MAIL_FROM || 'Lead Management <no-reply@localhost>',
+    to,
+    subject,
+    text
+  });
+};
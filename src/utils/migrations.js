@@ -0,0 +1,57 @@
+import Lead from '../models/Lead.js';
+import { buildDedupeKeys } from './duplicates.js';
+
+const BACKFILL_BATCH_SIZE = 500;
+
+// Schema migrations run when the server starts, so an existing database is
+// brought up to date without a manual step. Each one is idempotent and cheap
+// once applied.
+
+// Soft delete: leads from before it have no deletedAt, which the partial
+// unique email index (deletedAt of type null) would not cover. The old
+// email index has the same key, so it must go before the new one is built.
+export const migrateSoftDelete = async () => {
+  const result = await Lead.updateMany(
+    { deletedAt: { $exists: false } },
+    { $set: { deletedAt: null, deletedBy: null } },
+    { withDeleted: true }
+  );
+
+  const indexes = await Lead.collection.indexes();
+  const oldEmailIndex = indexes.find(index => index.key.email === 1 && !index.partialFilterExpression);
+  if (oldEmailIndex) {
+    await Lead.collection.dropIndex(oldEmailIndex.name);
+    await Lead.syncIndexes();
+  }
+
+  return { backfilled: result.modifiedCount, droppedIndex: oldEmailIndex?.name || null };
+};
+
+// Leads created before duplicate detection existed have no dedupe keys. Not
+// audited: dedupeKeys is derived data the audit log ignores.
+export const backfillDedupeKeys = async () => {
+  const cursor = Lead.find(
+    { 'dedupeKeys.lastName': { $exists: false } },
+    'firstName lastName email phone company',
+    { withDeleted: true }
+  ).lean().cursor();
+
+  let backfilled = 0;
+  let operations = [];
+  const flush = async () => {
+    if (!operations.length) return;
+    await Lead.bulkWrite(operations, { ordered: false });
+    backfilled += operations.length;
+    operations = [];
+  };
+
+  for await (const lead of cursor) {
+    operations.push({
+      updateOne: { filter: { _id: lead._id }, update: { $set: { dedupeKeys: buildDedupeKeys(lead) } } }
+    });
+    if (operations.length >= BACKFILL_BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  return { backfilled };
+};
@@ -0,0 +1,53 @@
+import { sendMail } from './mailer.js';
+
+// Task notifications go through a notifier with a single method:
+//   notify({ type, user, task, lead }) -> Promise
+//
+// `type` is "task.reminder" or "task.overdue". NOTIFIER picks a built-in one
+// ("console" by default, or "email", which sends through the mailer). Others,
+// such as Slack or push, can be plugged in with setNotifier().
+
+const SUBJECTS = {
+  'task.reminder': 'Reminder',
+  'task.overdue': 'Overdue task'
+};
+
+const describe = ({ type, task, lead }) => {
+  const leadName = lead
+    ? `${lead.firstName} ${lead.lastName}${lead.company ? ` (${lead.company})` : ''}`
+    : 'a deleted lead';
+  const lines = [
+    `Task: ${task.title}`,
+    `Lead: ${leadName}`,
+    `Due: ${task.dueAt.toISOString()}`,
+    `Priority: ${task.priority}`
+  ];
+  if (task.notes) lines.push('', task.notes);
+  return { subject: `${SUBJECTS[type]}: ${task.title}`, text: lines.join('\n') };
+};
+
+export const consoleNotifier = {
+  async notify(notification) {
+    const { subject, text } = describe(notification);
+    console.log(`🔔 ${subject} for ${notification.user.email}\n${text}`);
+  }
+};
+
+export const emailNotifier = {
+  async notify(notification) {
+    await sendMail({ to: notification.user.email, ...describe(notification) });
+  }
+};
+
+let notifier = null;
+
+const defaultNotifier = () => (process.env.NOTIFIER === 'email' ? emailNotifier : consoleNotifier);
+
+export const setNotifier = (custom) => {
+  notifier = custom;
+};
+
+export const notify = async (notification) => {
+  notifier = notifier || defaultNotifier();
+  await notifier.notify(notification);
+};
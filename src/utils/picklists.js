@@ -0,0 +1,98 @@
+import PicklistValue, { PICKLISTS } from '../models/PicklistValue.js';
+
+// Sources and statuses are admin-managed picklists (see routes/picklists.js).
+// Leads store an entry's `value`; labels, order and the active flag can change
+// without touching lead data.
+
+// Built-in entries, created the first time a list is read while empty
+export const DEFAULT_PICKLISTS = {
+  source: [
+    { value: 'website', label: 'Website' },
+    { value: 'facebook_ads', label: 'Facebook Ads' },
+    { value: 'google_ads', label: 'Google Ads' },
+    { value: 'referral', label: 'Referral' },
+    { value: 'events', label: 'Events' },
+    { value: 'other', label: 'Other' }
+  ],
+  status: [
+    { value: 'new', label: 'New', category: 'open', transitions: ['contacted', 'lost'] },
+    { value: 'contacted', label: 'Contacted', category: 'open', transitions: ['qualified', 'lost'] },
+    { value: 'qualified', label: 'Qualified', category: 'open', qualified: true, transitions: ['contacted', 'won', 'lost'] },
+    { value: 'won', label: 'Won', category: 'won', qualified: true, transitions: [] },
+    { value: 'lost', label: 'Lost', category: 'lost', transitions: ['contacted'] }
+  ]
+};
+
+export const PICKLIST_LABELS = { source: 'Source', status: 'Status' };
+
+// Lists are read on nearly every lead write, so they are cached briefly.
+// Changes made through this instance clear the cache straight away; other
+// instances see them within CACHE_TTL_MS.
+const CACHE_TTL_MS = 10 * 1000;
+const cache = new Map();
+
+export const clearPicklistCache = () => cache.clear();
+
+// Upserts so instances starting side by side can't insert twice
+const seedDefaults = async (list) => {
+  await PicklistValue.bulkWrite(DEFAULT_PICKLISTS[list].map((entry, index) => ({
+    updateOne: {
+      filter: { list, value: entry.value },
+      update: { $setOnInsert: { ...entry, list, order: (index + 1) * 10 } },
+      upsert: true
+    }
+  })));
+};
+
+// Every entry of a list, inactive ones included, in display order
+export const getPicklist = async (list) => {
+  const cached = cache.get(list);
+  if (cached && cached.expiresAt > Date.now()) return cached.entries;
+
+  const load = () => PicklistValue.find({ list }).sort({ order: 1, createdAt: 1 }).lean();
+  let entries = await load();
+  if (!entries.length) {
+    await seedDefaults(list);
+    entries = await load();
+  }
+
+  cache.set(list, { entries, expiresAt: Date.now() + CACHE_TTL_MS });
+  return entries;
+};
+
+export const getPicklists = async () =>
+  Object.fromEntries(await Promise.all(PICKLISTS.map(async list => [list, await getPicklist(list)])));
+
+export const findPicklistEntry = (entries, value) => entries.find(entry => entry.value === value);
+
+export const activeValues = (entries) => entries.filter(entry => entry.active).map(entry => entry.value);
+
+// Status values in any of the given categories, e.g. ('won', 'lost') for closed leads
+export const statusesInCategory = (statuses, ...categories) =>
+  statuses.filter(status => categories.includes(status.category)).map(status => status.value);
+
+export const getClosedStatuses = async () => statusesInCategory(await getPicklist('status'), 'won', 'lost');
+
+// Where new leads start: the first active open status
+export const defaultStatus = (statuses) =>
+  statuses.find(status => status.active && status.category === 'open')?.value;
+
+// Whether a value exists in a list at all, active or not
+export const isPicklistValue = async (list, value) =>
+  Boolean(findPicklistEntry(await getPicklist(list), value));
+
+// Values newly given to a lead must be active; a lead may keep an inactive
+// value it already has. `current` holds the lead's current values, if any.
+// Returns error messages.
+export const checkPicklistChoices = async (data, current = {}) => {
+  const errors = [];
+  for (const list of PICKLISTS) {
+    const value = data[list];
+    if (value === undefined || value === null || value === current[list]) continue;
+
+    const entry = findPicklistEntry(await getPicklist(list), value);
+    if (!entry) errors.push(`Invalid ${list}`);
+    else if (!entry.active) errors.push(`${PICKLIST_LABELS[list]} "${entry.label}" is no longer in use`);
+  }
+  return errors;
+};
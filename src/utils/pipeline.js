@@ -0,0 +1,47 @@
+// Lead status pipeline. Statuses and the moves allowed between them are
+// picklist entries (see utils/picklists.js); these helpers take the status
+// list so they stay free of database access.
+
+const findStatus = (statuses, value) => statuses.find(status => status.value === value);
+
+// Statuses a lead may move to from `from`. Inactive statuses can be left but
+// not entered.
+export const allowedTransitions = (statuses, from) =>
+  (findStatus(statuses, from)?.transitions || []).filter(to => findStatus(statuses, to)?.active);
+
+// { status: [allowed next statuses] } for every status
+export const buildTransitions = (statuses) =>
+  Object.fromEntries(statuses.map(status => [status.value, allowedTransitions(statuses, status.value)]));
+
+// Stages of the sales funnel, in order. A lead that reached a stage is
+// counted as having passed every earlier one.
+export const funnelStages = (statuses) =>
+  statuses.filter(status => status.category !== 'lost').map(status => status.value);
+
+export const isQualifiedStatus = (status, statuses) => Boolean(findStatus(statuses, status)?.qualified);
+
+// The stage "mark qualified" moves leads to: the first active qualified status
+export const qualifyingStatus = (statuses) =>
+  statuses.find(status => status.active && status.qualified)?.value;
+
+export const canTransition = (from, to, statuses) =>
+  from === to || allowedTransitions(statuses, from).includes(to);
+
+export const transitionError = (from, to, statuses) => {
+  const allowed = allowedTransitions(statuses, from);
+  return allowed.length
+    ? `Cannot move lead from "${from}" to "${to}". Allowed: ${allowed.join(', ')}`
+    : `Cannot move lead from "${from}" to "${to}". "${from}" is a final stage`;
+};
+
+// Move a lead document to a new stage, recording who did it.
+// Returns false (and leaves the lead untouched) if the move is not allowed.
+export const changeStatus = (lead, to, user, statuses) => {
+  const from = lead.status;
+  if (from === to) return true;
+  if (!canTransition(from, to, statuses)) return false;
+
+  lead.status = to;
+  lead.stageHistory.push({ from, to, changedBy: user._id, changedAt: new Date() });
+  return true;
+};
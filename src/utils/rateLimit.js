@@ -0,0 +1,109 @@
+import RateLimitCounter from '../models/RateLimitCounter.js';
+
+// Fixed-window rate limiting.
+//
+// A store counts hits per key and window:
+//   increment(key, windowMs) -> { count, resetAt }
+//
+// RATE_LIMIT_STORE picks the default store: "memory" (per process) or
+// "mongo" (shared by every instance). Other stores, e.g. Redis, can be
+// passed to rateLimit() directly.
+
+// Counts kept in this process; fine for a single instance
+export const createMemoryStore = () => {
+  const hits = new Map();
+
+  // Drop expired windows so the map doesn't grow forever
+  setInterval(() => {
+    const now = Date.now();
+    hits.forEach((entry, key) => {
+      if (entry.resetAt <= now) hits.delete(key);
+    });
+  }, 60 * 1000).unref();
+
+  return {
+    async increment(key, windowMs) {
+      const now = Date.now();
+      let entry = hits.get(key);
+      if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + windowMs };
+        hits.set(key, entry);
+      }
+      entry.count++;
+      return { count: entry.count, resetAt: new Date(entry.resetAt) };
+    }
+  };
+};
+
+// Counts kept in MongoDB so several instances share one limit. Windows are
+// aligned to the clock so every instance agrees on the current one.
+export const createMongoStore = () => ({
+  async increment(key, windowMs) {
+    const windowStart = Math.floor(Date.now() / windowMs) * windowMs;
+    const resetAt = new Date(windowStart + windowMs);
+    const bump = () => RateLimitCounter.findOneAndUpdate(
+      { _id: `${key}:${windowStart}` },
+      { $inc: { count: 1 }, $setOnInsert: { resetAt } },
+      { upsert: true, new: true }
+    );
+
+    let counter;
+    try {
+      counter = await bump();
+    } catch (error) {
+      // Two first hits in a window can race to insert the same counter; the
+      // loser's retry finds the winner's document and increments it
+      if (error.code !== 11000) throw error;
+      counter = await bump();
+    }
+    return { count: counter.count, resetAt };
+  }
+});
+
+const STORES = { memory: createMemoryStore, mongo: createMongoStore };
+
+// Resolved on first use, after the environment has been loaded
+const defaultStores = new Map();
+export const getDefaultStore = () => {
+  const name = STORES[process.env.RATE_LIMIT_STORE] ? process.env.RATE_LIMIT_STORE : 'memory';
+  if (!defaultStores.has(name)) defaultStores.set(name, STORES[name]());
+  return defaultStores.get(name);
+};
+
+// Express middleware answering 429 once `max` requests per window are used.
+// `windowMs` and `max` may be functions of the request, e.g. for a per-form
+// limit or one read from the environment. Requests whose key is null are
+// not counted.
+export const rateLimit = ({
+  windowMs,
+  max,
+  prefix = 'rl',
+  keyGenerator = req => req.ip,
+  store,
+  message = 'Too many requests, please try again later.'
+}) => async (req, res, next) => {
+  try {
+    const key = keyGenerator(req);
+    if (key === null || key === undefined) return next();
+
+    const limit = typeof max === 'function' ? await max(req) : max;
+    const window = typeof windowMs === 'function' ? await windowMs(req) : windowMs;
+    const { count, resetAt } = await (store || getDefaultStore()).increment(`${prefix}:${key}`, window);
+    const retryAfter = Math.max(1, Math.ceil((resetAt.getTime() - Date.now()) / 1000));
+
+    res.set({
+      'RateLimit-Limit': String(limit),
+      'RateLimit-Remaining': String(Math.max(0, limit - count)),
+      'RateLimit-Reset': String(retryAfter)
+    });
+
+    if (count > limit) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ error: message });
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
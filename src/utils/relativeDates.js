@@ -0,0 +1,75 @@
+// Relative date values for filters, resolved against the current time so
+// saved filters like "last 30 days" keep moving instead of being frozen.
+//
+// Supported tokens (spaces, dashes and underscores are interchangeable):
+//   today, yesterday, tomorrow, this_week, last_week, this_month,
+//   last_month, this_year, last_year, last_N_days, next_N_days, N_days_ago
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const normalizeToken = (value) =>
+  typeof value === 'string' ? value.trim().toLowerCase().replace(/[\s-]+/g, '_') : null;
+
+const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+// Resolve a token to a [start, end) range, or null if it is not a relative value
+export const resolveDateRange = (value, now = new Date()) => {
+  const token = normalizeToken(value);
+  if (!token) return null;
+
+  const today = startOfDay(now);
+
+  switch (token) {
+    case 'today':
+      return { start: today, end: addDays(today, 1) };
+    case 'yesterday':
+      return { start: addDays(today, -1), end: today };
+    case 'tomorrow':
+      return { start: addDays(today, 1), end: addDays(today, 2) };
+    case 'this_week': {
+      const start = addDays(today, -today.getDay());
+      return { start, end: addDays(start, 7) };
+    }
+    case 'last_week': {
+      const end = addDays(today, -today.getDay());
+      return { start: addDays(end, -7), end };
+    }
+    case 'this_month':
+      return {
+        start: new Date(now.getFullYear(), now.getMonth(), 1),
+        end: new Date(now.getFullYear(), now.getMonth() + 1, 1)
+      };
+    case 'last_month':
+      return {
+        start: new Date(now.getFullYear(), now.getMonth() - 1, 1),
+        end: new Date(now.getFullYear(), now.getMonth(), 1)
+      };
+    case 'this_year':
+      return { start: new Date(now.getFullYear(), 0, 1), end: new Date(now.getFullYear() + 1, 0, 1) };
+    case 'last_year':
+      return { start: new Date(now.getFullYear() - 1, 0, 1), end: new Date(now.getFullYear(), 0, 1) };
+  }
+
+  let match = token.match(/^last_(\d+)_days?$/);
+  if (match) return { start: addDays(today, -Number(match[1])), end: now };
+
+  match = token.match(/^next_(\d+)_days?$/);
+  if (match) return { start: now, end: addDays(today, Number(match[1]) + 1) };
+
+  match = token.match(/^(\d+)_days?_ago$/);
+  if (match) {
+    const start = addDays(today, -Number(match[1]));
+    return { start, end: addDays(start, 1) };
+  }
+
+  return null;
+};
+
+// Resolve a filter value to a single date. Relative ranges resolve to their
+// start, or their end when `edge` is 'end'.
+export const resolveDate = (value, edge = 'start', now = new Date()) => {
+  const range = resolveDateRange(value, now);
+  if (range) return range[edge];
+  return new Date(value);
+};
@@ -0,0 +1,19 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+// Per-request context (actor, IP) available to code that has no access to
+// `req`, such as model hooks
+const storage = new AsyncLocalStorage();
+
+export const requestContext = (req, res, next) => {
+  storage.run({ ip: req.ip, userAgent: req.get('user-agent') || null, user: null, sessionId: null }, () => next());
+};
+
+export const getRequestContext = () => storage.getStore() || {};
+
+export const setContextUser = (user, sessionId = null) => {
+  const store = storage.getStore();
+  if (store) {
+    store.user = user;
+    store.sessionId = sessionId;
+  }
+};
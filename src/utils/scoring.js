@@ -0,0 +1,167 @@
+import Lead from '../models/Lead.js';
+import ScoringRule, { SCORING_FIELDS } from '../models/ScoringRule.js';
+import { writeAuditEntries } from './audit.js';
+
+export { SCORING_FIELDS };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RECOMPUTE_BATCH_SIZE = 500;
+const REFRESH_INTERVAL_MS = 60 * 60 * 1000;
+
+// Operators whose result changes with the passage of time alone
+const TIME_OPERATORS = ['within_days', 'older_than_days'];
+
+const sameText = (a, b) => String(a).toLowerCase() === String(b).toLowerCase();
+
+// Does a single rule match the lead?
+export const matchesRule = (rule, lead, now = new Date()) => {
+  const actual = lead[rule.field];
+  const { value, value2 } = rule;
+
+  switch (rule.operator) {
+    case 'equals':
+      if (typeof actual === 'number') return actual === Number(value);
+      return actual != null && sameText(actual, value);
+    case 'in':
+      return Array.isArray(value) && actual != null && value.some(item => sameText(actual, item));
+    case 'contains':
+      return actual != null && String(actual).toLowerCase().includes(String(value).toLowerCase());
+    case 'gt':
+      return actual > Number(value);
+    case 'lt':
+      return actual < Number(value);
+    case 'between':
+      return actual >= Number(value) && actual <= Number(value2);
+    case 'within_days':
+      return actual != null && now - new Date(actual) <= Number(value) * DAY_MS;
+    case 'older_than_days':
+      return actual == null || now - new Date(actual) > Number(value) * DAY_MS;
+    case 'is_empty':
+      return actual == null || actual === '';
+    default:
+      return false;
+  }
+};
+
+// Sum the points of every matching rule, clamped to the 0-100 score range
+export const computeScore = (lead, rules, now = new Date()) => {
+  const breakdown = rules
+    .filter(rule => matchesRule(rule, lead, now))
+    .map(rule => ({ rule: rule._id, name: rule.name, points: rule.points }));
+
+  const total = breakdown.reduce((sum, item) => sum + item.points, 0);
+  const score = Math.min(100, Math.max(0, Math.round(total)));
+
+  return { score, breakdown };
+};
+
+export const getActiveScoringRules = () =>
+  ScoringRule.find({ active: true }).sort({ createdAt: 1 }).lean();
+
+// Score a lead document in place. When no rules are active the
+// client-supplied score is kept, so scoring stays opt-in.
+export const scoreLead = async (lead, rules) => {
+  const activeRules = rules || await getActiveScoringRules();
+  if (!activeRules.length) return lead;
+
+  const { score, breakdown } = computeScore(lead, activeRules);
+  lead.score = score;
+  lead.scoreBreakdown = breakdown;
+  lead.scoredAt = new Date();
+  return lead;
+};
+
+// Recompute stored scores for every lead matching the filter. bulkWrite skips
+// the audit plugin, so score changes are logged here.
+export const recomputeScores = async (filter = {}) => {
+  const rules = await getActiveScoringRules();
+
+  // Without rules scores are manual again; drop breakdowns that no longer apply
+  if (!rules.length) {
+    const result = await Lead.updateMany(
+      { $and: [filter, { 'scoreBreakdown.0': { $exists: true } }] },
+      { $set: { scoreBreakdown: [], scoredAt: null } }
+    );
+    return { processed: result.matchedCount, updated: result.modifiedCount };
+  }
+
+  const now = new Date();
+  const cursor = Lead.find(filter, { source: 1, status: 1, state: 1, company: 1, leadValue: 1, lastActivityAt: 1, score: 1 })
+    .lean()
+    .cursor();
+
+  let processed = 0;
+  let updated = 0;
+  let operations = [];
+  let auditEntries = [];
+
+  const flush = async () => {
+    if (!operations.length) return;
+    const result = await Lead.bulkWrite(operations, { ordered: false });
+    updated += result.modifiedCount;
+    await writeAuditEntries(auditEntries);
+    operations = [];
+    auditEntries = [];
+  };
+
+  for await (const lead of cursor) {
+    const { score, breakdown } = computeScore(lead, rules, now);
+    operations.push({
+      updateOne: {
+        filter: { _id: lead._id },
+        update: { $set: { score, scoreBreakdown: breakdown, scoredAt: now } }
+      }
+    });
+    if (score !== lead.score) {
+      auditEntries.push({
+        entity: 'Lead',
+        entityId: lead._id,
+        action: 'update',
+        changes: [{ field: 'score', before: lead.score ?? null, after: score }]
+      });
+    }
+    processed++;
+    if (operations.length >= RECOMPUTE_BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  return { processed, updated };
+};
+
+// Rescore leads that crossed a time-based rule's threshold since `since`, as
+// nothing is saved when a lead merely ages. The first run rescores every
+// lead, since the process may have been down for a while.
+export const refreshTimeBasedScores = async (since) => {
+  const rules = (await getActiveScoringRules()).filter(rule => TIME_OPERATORS.includes(rule.operator));
+  if (!rules.length) return { processed: 0, updated: 0 };
+  if (!since) return recomputeScores();
+
+  const now = Date.now();
+  return recomputeScores({
+    $or: rules.map(rule => ({
+      [rule.field]: {
+        $gt: new Date(since.getTime() - Number(rule.value) * DAY_MS),
+        $lte: new Date(now - Number(rule.value) * DAY_MS)
+      }
+    }))
+  });
+};
+
+let lastRefresh = null;
+let refreshing = false;
+
+const refreshInBackground = () => {
+  if (refreshing) return;
+  refreshing = true;
+  const startedAt = new Date();
+  refreshTimeBasedScores(lastRefresh)
+    .then(() => { lastRefresh = startedAt; })
+    .catch(error => console.error('Error refreshing time-based scores:', error))
+    .finally(() => { refreshing = false; });
+};
+
+// Keep scores from time-based rules current, checking once an hour
+export const startScoreScheduler = () => {
+  refreshInBackground();
+  setInterval(refreshInBackground, REFRESH_INTERVAL_MS).unref();
+};
@@ -0,0 +1,122 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import Session from '../models/Session.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Short-lived access token, renewed with the refresh token
+const getAccessTokenTtl = () => process.env.ACCESS_TOKEN_TTL || '15m';
+const getRefreshTokenDays = () => parseInt(process.env.REFRESH_TOKEN_DAYS) || 30;
+const LAST_SEEN_INTERVAL_MS = 60 * 1000;
+
+const COOKIE_OPTIONS = {
+  httpOnly: true,
+  secure: true,
+  sameSite: 'none'
+};
+
+// The refresh cookie is only sent to the auth routes that use it
+const REFRESH_COOKIE_PATH = '/api/auth';
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+const newRefreshToken = () => crypto.randomBytes(48).toString('base64url');
+
+// Rough "Browser on OS" label for the session list
+export const describeDevice = (userAgent = '') => {
+  if (!userAgent) return 'Unknown device';
+  const browser = [
+    ['Edge', /Edg\//], ['Opera', /OPR\//], ['Chrome', /Chrome\//], ['Firefox', /Firefox\//],
+    ['Safari', /Safari\//], ['curl', /^curl\//], ['Postman', /PostmanRuntime/], ['Node.js', /node|undici/i]
+  ].find(([, pattern]) => pattern.test(userAgent));
+  const os = [
+    ['Android', /Android/], ['iOS', /iPhone|iPad/], ['Windows', /Windows/], ['macOS', /Mac OS X/], ['Linux', /Linux/]
+  ].find(([, pattern]) => pattern.test(userAgent));
+
+  if (!browser && !os) return 'Unknown device';
+  return [browser?.[0] || 'Unknown browser', os && `on ${os[0]}`].filter(Boolean).join(' ');
+};
+
+export const generateAccessToken = (userId, sessionId) =>
+  jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET, { expiresIn: getAccessTokenTtl() });
+
+// Start a session for a user who just signed in
+export const createSession = async (user, req) => {
+  const refreshToken = newRefreshToken();
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    device: describeDevice(req.get('user-agent')),
+    userAgent: req.get('user-agent') || null,
+    ip: req.ip,
+    expiresAt: new Date(Date.now() + getRefreshTokenDays() * DAY_MS)
+  });
+
+  return { session, refreshToken, accessToken: generateAccessToken(user._id, session._id) };
+};
+
+// Swap a refresh token for a new pair. A token that was already rotated out
+// means someone else holds a copy, so that session is revoked outright.
+export const rotateSession = async (refreshToken, req) => {
+  const tokenHash = hashToken(refreshToken);
+  const session = await Session.findOne(Session.activeFilter({ refreshTokenHash: tokenHash }));
+
+  if (!session) {
+    await Session.updateOne(
+      Session.activeFilter({ previousTokenHash: tokenHash }),
+      { revokedAt: new Date() }
+    );
+    return null;
+  }
+
+  const nextToken = newRefreshToken();
+  session.set({
+    refreshTokenHash: hashToken(nextToken),
+    previousTokenHash: tokenHash,
+    ip: req.ip,
+    lastSeenAt: new Date(),
+    expiresAt: new Date(Date.now() + getRefreshTokenDays() * DAY_MS)
+  });
+  await session.save();
+
+  return { session, refreshToken: nextToken, accessToken: generateAccessToken(session.user, session._id) };
+};
+
+// Used by `protect` on every request made with an access token
+export const findActiveSession = async (sessionId, userId, req) => {
+  const session = await Session.findOne(Session.activeFilter({ _id: sessionId, user: userId }));
+
+  if (session && Date.now() - session.lastSeenAt > LAST_SEEN_INTERVAL_MS) {
+    Session.updateOne({ _id: session._id }, { lastSeenAt: new Date(), ip: req.ip })
+      .catch(error => console.error('Error updating session:', error));
+  }
+
+  return session;
+};
+
+export const findSessionByRefreshToken = (refreshToken) =>
+  Session.findOne(Session.activeFilter({ refreshTokenHash: hashToken(refreshToken) }));
+
+// Revoke a user's sessions, optionally keeping one (the caller's)
+export const revokeSessions = (userId, { except } = {}) => {
+  const filter = Session.activeFilter({ user: userId });
+  if (except) filter._id = { $ne: except };
+  return Session.updateMany(filter, { revokedAt: new Date() });
+};
+
+export const setAuthCookies = (res, { accessToken, refreshToken }) => {
+  res.cookie('token', accessToken, {
+    ...COOKIE_OPTIONS,
+    maxAge: getRefreshTokenDays() * DAY_MS, // the JWT itself expires much sooner
+    path: '/'
+  });
+  res.cookie('refreshToken', refreshToken, {
+    ...COOKIE_OPTIONS,
+    maxAge: getRefreshTokenDays() * DAY_MS,
+    path: REFRESH_COOKIE_PATH
+  });
+};
+
+export const clearAuthCookies = (res) => {
+  res.clearCookie('token', { ...COOKIE_OPTIONS, path: '/' });
+  res.clearCookie('refreshToken', { ...COOKIE_OPTIONS, path: REFRESH_COOKIE_PATH });
+};
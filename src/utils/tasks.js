@@ -0,0 +1,96 @@
+import Task from '../models/Task.js';
+import Lead from '../models/Lead.js';
+import Activity from '../models/Activity.js';
+import { notify } from './notifier.js';
+
+const POLL_INTERVAL_MS = 60 * 1000;
+// Tasks handled per scheduler run, so a large backlog doesn't block the loop
+const BATCH_SIZE = 100;
+
+const NOTIFY_POPULATE = [
+  { path: 'assignee', select: 'firstName lastName email' },
+  { path: 'lead', select: 'firstName lastName company' }
+];
+
+// Mark a task done and log it on the lead's timeline, which also bumps the
+// lead's lastActivityAt
+export const completeTask = async (task, user) => {
+  const completedAt = new Date();
+  task.set({ done: true, completedAt, completedBy: user._id, overdue: false });
+  await task.save();
+
+  await Activity.log({
+    lead: task.lead?._id || task.lead,
+    type: 'task',
+    subject: `Completed task: ${task.title}`,
+    body: task.notes,
+    occurredAt: completedAt,
+    createdBy: user._id
+  });
+  return task;
+};
+
+// A reopened task that is past due gets a fresh overdue notification
+export const reopenTask = async (task) => {
+  task.set({
+    done: false,
+    completedAt: null,
+    completedBy: null,
+    overdue: task.dueAt <= new Date(),
+    overdueNotifiedAt: null
+  });
+  await task.save();
+  return task;
+};
+
+// Claim each task before notifying so several instances don't send twice
+const sendNotifications = async (type, filter, claimed) => {
+  const tasks = await Task.find(filter, '_id').limit(BATCH_SIZE);
+  for (const { _id } of tasks) {
+    const task = await Task.findOneAndUpdate({ _id, ...filter }, { $set: claimed() }, { new: true })
+      .populate(NOTIFY_POPULATE);
+    if (!task || !task.assignee) continue;
+
+    try {
+      await notify({ type, user: task.assignee, task, lead: task.lead });
+    } catch (error) {
+      console.error(`Error sending ${type} notification for task ${task._id}:`, error);
+    }
+  }
+};
+
+export const processDueTasks = async () => {
+  const now = new Date();
+  // Tasks on trashed leads wait, unclaimed, in case the lead is restored
+  const trashedLeads = await Lead.distinct('_id', { deletedAt: { $ne: null } });
+  const liveLead = { lead: { $nin: trashedLeads } };
+
+  await Task.updateMany({ done: false, overdue: false, dueAt: { $lte: now } }, { $set: { overdue: true } });
+
+  await sendNotifications(
+    'task.reminder',
+    { done: false, reminderSentAt: null, remindAt: { $ne: null, $lte: now }, ...liveLead },
+    () => ({ reminderSentAt: new Date() })
+  );
+  await sendNotifications(
+    'task.overdue',
+    { done: false, overdue: true, overdueNotifiedAt: null, ...liveLead },
+    () => ({ overdueNotifiedAt: new Date() })
+  );
+};
+
+let processing = false;
+
+const processInBackground = () => {
+  if (processing) return;
+  processing = true;
+  processDueTasks()
+    .catch(error => console.error('Error processing due tasks:', error))
+    .finally(() => { processing = false; });
+};
+
+// Check for overdue tasks and due reminders once a minute
+export const startTaskScheduler = () => {
+  processInBackground();
+  setInterval(processInBackground, POLL_INTERVAL_MS).unref();
+};
@@ -0,0 +1,205 @@
+import crypto from 'crypto';
+import dns from 'dns/promises';
+import net from 'net';
+import Webhook from '../models/Webhook.js';
+import WebhookDelivery from '../models/WebhookDelivery.js';
+
+const MAX_ATTEMPTS = 8;
+const RETRY_BASE_MS = 30 * 1000; // 30s, 1m, 2m, 4m ... about 1h total
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const CLAIM_TIMEOUT_MS = 60 * 1000; // a claimed delivery is retried if the process dies mid-request
+const POLL_INTERVAL_MS = 15 * 1000;
+const MAX_RESPONSE_BODY = 2000;
+
+// Internal bookkeeping that receivers have no use for
+const HIDDEN_LEAD_FIELDS = ['dedupeKeys', 'mergedFrom', '__v'];
+// Fields rewritten on every save, which don't make an update on their own
+const DERIVED_LEAD_FIELDS = ['scoreBreakdown', 'scoredAt', 'stageHistory', 'assignmentHistory', 'dedupeKeys', 'updatedAt'];
+
+// Loopback, private, link-local (cloud metadata) and other reserved ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+// Hosts in WEBHOOK_ALLOWED_HOSTS (comma-separated) skip the address check,
+// for receivers deliberately run on an internal network
+const allowedHosts = () => (process.env.WEBHOOK_ALLOWED_HOSTS || '')
+  .split(',')
+  .map(host => host.trim().toLowerCase())
+  .filter(Boolean);
+
+// Webhooks must not reach internal services, so every address the URL's host
+// resolves to has to be public. Checked when a webhook is saved and again
+// before each delivery, since DNS can change in between. Returns an error
+// message, or null when the URL is fine.
+export const checkWebhookUrl = async (url) => {
+  const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (allowedHosts().includes(hostname)) return null;
+
+  let addresses;
+  try {
+    addresses = net.isIP(hostname)
+      ? [{ address: hostname, family: net.isIP(hostname) }]
+      : await dns.lookup(hostname, { all: true });
+  } catch (error) {
+    return `Webhook host ${hostname} could not be resolved`;
+  }
+
+  const blocked = addresses.some(({ address, family }) =>
+    BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4'));
+  return blocked ? `Webhook host ${hostname} is a private or reserved address` : null;
+};
+
+// HMAC-SHA256 over "<timestamp>.<body>" so a captured request cannot be replayed later
+export const signPayload = (secret, timestamp, body) =>
+  crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+export const serializeLead = (lead) => {
+  const data = typeof lead.toObject === 'function' ? lead.toObject({ depopulate: true }) : { ...lead };
+  HIDDEN_LEAD_FIELDS.forEach(field => delete data[field]);
+  return data;
+};
+
+// Top-level fields the caller changed on an unsaved lead document
+export const changedLeadFields = (lead) =>
+  [...new Set(lead.directModifiedPaths().map(path => path.split('.')[0]))]
+    .filter(field => !DERIVED_LEAD_FIELDS.includes(field));
+
+const retryDelay = (attempts) => RETRY_BASE_MS * 2 ** (attempts - 1);
+
+// Send a claimed delivery once and record the outcome
+const attemptDelivery = async (delivery) => {
+  const webhook = await Webhook.findById(delivery.webhook).select('+secret');
+  const attemptedAt = new Date();
+
+  if (!webhook) {
+    delivery.set({ status: 'failed', error: 'Webhook no longer exists', lastAttemptAt: attemptedAt });
+    return delivery.save();
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(attemptedAt.getTime() / 1000);
+  let responseStatus = null;
+  let responseBody = null;
+  let error = null;
+
+  try {
+    const urlError = await checkWebhookUrl(webhook.url);
+    if (urlError) throw new Error(urlError);
+
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'lead-management-webhooks/1.0',
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': String(delivery._id),
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': `sha256=${signPayload(webhook.secret, timestamp, body)}`
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+    responseStatus = response.status;
+    responseBody = (await response.text()).slice(0, MAX_RESPONSE_BODY);
+    if (!response.ok) error = `Receiver responded with ${response.status}`;
+  } catch (err) {
+    error = err.name === 'TimeoutError' ? `No response within ${REQUEST_TIMEOUT_MS / 1000}s` : err.message;
+  }
+
+  const succeeded = !error;
+  const exhausted = delivery.attempts >= MAX_ATTEMPTS;
+
+  delivery.attemptLog.push({
+    attemptedAt,
+    responseStatus,
+    error,
+    durationMs: Date.now() - attemptedAt.getTime()
+  });
+  delivery.set({
+    status: succeeded ? 'succeeded' : exhausted ? 'failed' : 'pending',
+    lastAttemptAt: attemptedAt,
+    nextAttemptAt: succeeded || exhausted ? null : new Date(Date.now() + retryDelay(delivery.attempts)),
+    responseStatus,
+    responseBody,
+    error
+  });
+  return delivery.save();
+};
+
+// Claim a due delivery so concurrent workers don't send it twice
+const claimNextDelivery = () => {
+  const now = new Date();
+  return WebhookDelivery.findOneAndUpdate(
+    { status: 'pending', nextAttemptAt: { $lte: now } },
+    { $set: { nextAttemptAt: new Date(now.getTime() + CLAIM_TIMEOUT_MS) }, $inc: { attempts: 1 } },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+};
+
+let processing = false;
+
+// Work through every delivery that is due
+export const processDueDeliveries = async () => {
+  if (processing) return;
+  processing = true;
+  try {
+    let delivery;
+    while ((delivery = await claimNextDelivery())) {
+      await attemptDelivery(delivery);
+    }
+  } finally {
+    processing = false;
+  }
+};
+
+const processInBackground = () => {
+  processDueDeliveries().catch(error => console.error('Error delivering webhooks:', error));
+};
+
+// Poll the queue so retries and deliveries queued before a restart go out
+export const startWebhookWorker = () => {
+  processInBackground();
+  setInterval(processInBackground, POLL_INTERVAL_MS).unref();
+};
+
+// Queue an event for every active webhook subscribed to it
+export const emitWebhookEvent = async (event, data) => {
+  const webhooks = await Webhook.find({ active: true, events: event }, '_id');
+  if (!webhooks.length) return;
+
+  const payload = {
+    id: crypto.randomUUID(),
+    event,
+    createdAt: new Date().toISOString(),
+    data
+  };
+
+  await WebhookDelivery.insertMany(webhooks.map(webhook => ({ webhook: webhook._id, event, payload })));
+  processInBackground();
+};
+
+// Route helpers: never let webhook bookkeeping fail the request that triggered it
+export const emitLeadEvent = (event, lead, extra = {}) => {
+  emitWebhookEvent(event, { lead: serializeLead(lead), ...extra })
+    .catch(error => console.error(`Error queueing ${event} webhooks:`, error));
+};
+
+// Send a past delivery's payload again as a new delivery
+export const replayDelivery = async (delivery) => {
+  const replay = await WebhookDelivery.create({
+    webhook: delivery.webhook,
+    event: delivery.event,
+    payload: delivery.payload,
+    replayOf: delivery._id
+  });
+  processInBackground();
+  return replay;
+};